@@ -2,6 +2,7 @@ import { Shader } from "./shader.js";
 import * as mat from "gl-matrix";
 import { vertSliceShader, fragSliceShader } from "./shader-srcs.js";
 import { vertLineShader, fragLineShader } from "./shader-srcs.js";
+import { vertThickLineShader } from "./shader-srcs.js";
 import { vertRenderShader, fragRenderShader } from "./shader-srcs.js";
 import { vertColorbarShader, fragColorbarShader } from "./shader-srcs.js";
 import { vertFontShader, fragFontShader } from "./shader-srcs.js";
@@ -9,6 +10,7 @@ import {
   vertOrientShader,
   vertPassThroughShader,
   fragPassThroughShader,
+  fragGradientShader,
   fragOrientShaderU,
   fragOrientShaderI,
   fragOrientShaderF,
@@ -51,7 +53,13 @@ const log = new Log();
  * @param {boolean} [options.trustCalMinMax=true] true/false whether to trust the nifti header values for cal_min and cal_max. Trusting them results in faster loading because we skip computing these values from the data
  * @param {string} [options.clipPlaneHotKey="KeyC"] the keyboard key used to cycle through clip plane orientations. The default is "c"
  * @param {string} [options.viewModeHotKey="KeyV"] the keyboard key used to cycle through view modes. The default is "v"
- * @param {number} [options.keyDebounceTime=50] the keyUp debounce time in milliseconds. The default is 50 ms. You must wait this long before a new hot-key keystroke will be registered by the event listener
+ * @param {string} [options.renderMode="composite"] how the 3D render shows the volume, see setRenderMode
+ * @param {string} [options.renderModeHotKey="KeyR"] the keyboard key used to cycle through render modes. The default is "r"
+ * @param {boolean} [options.isGlassBrain=false] whether overlays show through the background of the 3D render, see setGlassBrain
+ * @param {boolean} [options.isPerspective=false] whether the 3D render uses a perspective camera rather than an orthographic one, see setPerspective
+ * @param {number} [options.fieldOfView=45] angle in degrees seen by the perspective camera across the shorter side of the canvas
+ * @param {string} [options.shading="none"] lighting of the 3D render from the image gradients: "none", "phong" or "blinn", see setShading
+ * @param {number} [options.keyDebounceTime=50] the keyUp debounce time in milliseconds. The default is 50 ms. You must wait this long before the clip plane, view mode or render mode hot key will be registered again by the event listener
  * @param {boolean} [options.isRadiologicalConvention=false] whether or not to use radiological convention in the display
  * @param {string} [options.logging=false] turn on logging or not (true/false)
  * @param {string} [options.loadingText="waiting on images..."] the loading text to display when there is a blank canvas and no images
@@ -74,6 +82,18 @@ export const Niivue = function (options = {}) {
     trustCalMinMax: true, // trustCalMinMax: if true do not calculate cal_min or cal_max if set in image header. If false, always calculate display intensity range.
     clipPlaneHotKey: "KeyC", // keyboard short cut to activate the clip plane
     viewModeHotKey: "KeyV", // keyboard shortcut to switch view modes
+    renderMode: "composite", // 3D render: "composite" blends the volume, "mip", "minip" and "average" project the maximum, minimum or average intensity
+    renderModeHotKey: "KeyR", // keyboard shortcut to switch render modes
+    isGlassBrain: false, // 3D render: if true, overlays are projected through the background as if it were glass
+    isPerspective: false, // 3D render: if true, a perspective camera shows near parts of the volume larger than far parts
+    fieldOfView: 45, // perspective camera: degrees across the shorter side of the canvas
+    shading: "none", // 3D render lighting from the image gradients: "none", "phong" or "blinn"
+    ambient: 0.4, // lighting: fraction of the color without any light
+    diffuse: 0.6, // lighting: fraction of the color lit by the light
+    specular: 0.3, // lighting: brightness of highlights
+    shininess: 20, // lighting: larger values make smaller highlights
+    lightAzimuth: 0, // light direction in degrees relative to the viewer, so it follows the render azimuth
+    lightElevation: 0, // light direction in degrees relative to the viewer, so it follows the render elevation
     keyDebounceTime: 50, // default debounce time used in keyup listeners
     isNearestInterpolation: false,
     isAtlasOutline: false,
@@ -81,20 +101,47 @@ export const Niivue = function (options = {}) {
     logging: false,
     loadingText: "waiting for images...",
     dragAndDropEnabled: true,
+    show4Dgraph: false, // if true, show the voxel time course of 4D images in the empty quadrant of the multiplanar view
+    graph4DLineColor: [1, 1, 1, 1],
+    drawingEnabled: false, // if true, the left mouse button paints into the drawing instead of only moving the crosshair
+    penValue: 1, // label painted into the drawing, 0 erases
+    penSize: 1, // width of the pen in voxels
+    measureMode: "none", // "distance": left-drag on a slice measures a length, "angle": three left clicks measure an angle
+    measureColor: [1, 1, 0, 1],
+    dragMode: "contrast", // right-drag: "contrast" sets the intensity range from a selection box, "windowLevel" adjusts it continuously
+    showROIStatsOnDrag: false, // if true, right-dragging a box shows statistics of the box instead of changing the contrast
+    floodFillOnClick: false, // when drawing, a left click grows a region from the clicked voxel instead of painting
+    floodFillTolerance: 0, // voxels join the region if their intensity is within this of the seed voxel
+    floodFillConnectivity: 6, // 6 (faces), 18 (faces and edges) or 26 (faces, edges and corners) neighbors
+    floodFill2D: false, // if true, the region only grows within the clicked 2D slice
+    undoHotKey: "KeyZ", // with ctrl (or cmd), undo the last voxel edit; with shift as well, redo
+    redoHotKey: "KeyY", // with ctrl (or cmd), redo the last undone voxel edit
+    cycleActiveLayerHotKey: "", // keyboard shortcut to make the next layer active, "" for none
+    toggleOverlaysHotKey: "", // keyboard shortcut to hide or show all overlays, "" for none
+    cycleColormapHotKey: "", // keyboard shortcut to give the active layer the next colormap, "" for none
+    increaseOpacityHotKey: "", // keyboard shortcut to make the active layer more opaque, "" for none
+    decreaseOpacityHotKey: "", // keyboard shortcut to make the active layer more transparent, "" for none
+    saveScreenshotHotKey: "", // keyboard shortcut to download the canvas as a PNG image, "" for none
+    maxUndoBytes: 64 * 1024 * 1024, // memory limit of the undo history, the oldest edits are forgotten first
   };
 
   this.canvas = null; // the canvas element on the page
   this.gl = null; // the gl context
   this.colormapTexture = null;
   this.volumeTexture = null;
+  this.gradientTexture = null; // direction and magnitude of the intensity gradient of the background, for lighting
   this.overlayTexture = null;
+  this.overlayTexture3D = null; // overlays blended with their 3D opacity, for the 3D render
+  this.intensityTexture3D = null; // raw intensity of the background, ranks the samples of 3D projections
   this.sliceShader = null;
   this.lineShader = null;
+  this.thickLineShader = null;
   this.renderShader = null;
   this.pickingShader = null;
   this.colorbarShader = null;
   this.fontShader = null;
   this.passThroughShader = null;
+  this.gradientShader = null;
   this.orientShaderAtlasU = null;
   this.orientShaderU = null;
   this.orientShaderI = null;
@@ -120,12 +167,25 @@ export const Niivue = function (options = {}) {
   this.scene.renderElevation = 10; //-165; //15;
   this.scene.crosshairPos = [0.5, 0.5, 0.5];
   this.scene.clipPlane = [0, 0, 0, 0];
+  this.scene.clipPlanes = []; // [x, y, z, depth] of each plane set by setClipPlanes, a cut-away view if there are several
+  this.scene.clipPlaneDepthAziElevs = []; // [depth, azimuth, elevation] of each plane set by setClipPlanes
   this.scene.mousedown = false;
   this.scene.touchdown = false;
   this.scene.mouseButtonLeft = 0;
   this.scene.mouseButtonRight = 2;
+  this.scene.mouseButtonCenter = 1;
   this.scene.mouseButtonLeftDown = false;
   this.scene.mouseButtonRightDown = false;
+  this.scene.mouseButtonCenterDown = false;
+  this.scene.pan2D = [
+    //zoom and pan of the axial, coronal and sagittal views: [panX, panY, zoom], pan as a fraction of the view size
+    [0, 0, 1],
+    [0, 0, 1],
+    [0, 0, 1],
+  ];
+  this.panStart = null; // view, mouse position and pan at the start of a pan drag
+  this.zoomStart = null; // mouse position at the start of a zoom drag
+  this.isMeasureDrag = false; // true while the measure mode drags on a 2D slice rather than moving the crosshair
   this.scene.prevX = 0;
   this.scene.prevY = 0;
   this.scene.currX = 0;
@@ -142,10 +202,26 @@ export const Niivue = function (options = {}) {
   this.numScreenSlices = 0; // e.g. for multiplanar view, 3 simultaneous slices: axial, coronal, sagittal
   this.screenSlices = [
     //location and type of each 2D slice on screen, allows clicking to detect position
-    { leftTopWidthHeight: [1, 0, 0, 1], axCorSag: this.sliceTypeAxial },
-    { leftTopWidthHeight: [1, 0, 0, 1], axCorSag: this.sliceTypeAxial },
-    { leftTopWidthHeight: [1, 0, 0, 1], axCorSag: this.sliceTypeAxial },
-    { leftTopWidthHeight: [1, 0, 0, 1], axCorSag: this.sliceTypeAxial },
+    {
+      leftTopWidthHeight: [1, 0, 0, 1],
+      tileLeftTopWidthHeight: [1, 0, 0, 1],
+      axCorSag: this.sliceTypeAxial,
+    },
+    {
+      leftTopWidthHeight: [1, 0, 0, 1],
+      tileLeftTopWidthHeight: [1, 0, 0, 1],
+      axCorSag: this.sliceTypeAxial,
+    },
+    {
+      leftTopWidthHeight: [1, 0, 0, 1],
+      tileLeftTopWidthHeight: [1, 0, 0, 1],
+      axCorSag: this.sliceTypeAxial,
+    },
+    {
+      leftTopWidthHeight: [1, 0, 0, 1],
+      tileLeftTopWidthHeight: [1, 0, 0, 1],
+      axCorSag: this.sliceTypeAxial,
+    },
   ];
   this.backOpacity = 1.0;
   this.isDragging = false;
@@ -156,8 +232,23 @@ export const Niivue = function (options = {}) {
   this.volumeObject3D = null;
   this.clipPlaneObject3D = null;
   this.intensityRange$ = new Subject(); // needs to be updated to have an intensity range for each loaded image #172
+  this.activeLayer = 0; // index of the volume adjusted by window/level dragging and by the layer keyboard shortcuts
+  this.windowLevelStart = null; // mouse position and intensity range at the start of a window/level drag
+  this.clipPlaneDragStart = null; // clip plane, mouse position and depth at the start of dragging a clip plane
   this.scene.location$ = new Subject(); // object with properties: {mm: [N N N], vox: [N N N], frac: [N N N]}
   this.scene.loading$ = new Subject(); // whether or not the scene is loading
+  this.scene.frameChange$ = new Subject(); // object with properties: {id: volume id, frame4D: N}
+  this.play4DTimer = null; // interval timer of 4D playback
+  this.drawingVolume = null; // label image that is painted, see createEmptyDrawing()
+  this.drawPenLocation = [NaN, NaN, NaN]; // previous pen voxel while the mouse button is held, so strokes are continuous
+  this.drawPenAxCorSag = -1; // slice orientation of the current stroke
+  this.measurements = []; // distances and angles drawn on 2D slices, see getMeasurements()
+  this.measurePending = []; // points (in normalized texture space) of the measurement being made
+  this.measurePendingAxCorSag = -1; // slice orientation of the measurement being made
+  this.roiStats = null; // statistics of the last right-drag box, shown as text, see showROIStatsOnDrag
+  this.currentEdit = null; // copy of the image before the voxel edit in progress, see setVoxelValue()
+  this.undoStack = []; // voxel edits, each {volume, indices, before, after}
+  this.redoStack = [];
   this.currentClipPlaneIndex = 0;
   this.lastCalled = new Date().getTime();
   this.multiTouchGesture = false;
@@ -179,12 +270,33 @@ export const Niivue = function (options = {}) {
 
   this.loadingText = this.opts.loadingText;
 
+  // interaction modes by name, see registerMouseMode()
+  this.mouseModes = Object.assign({}, defaultMouseModes);
+  // mode of each mouse button, wheel and touch gesture, optionally with a modifier key, see setMouseMode()
+  this.mouseModeBindings = {
+    left: this.opts.measureMode === "none" ? "crosshair" : "measure",
+    right: this.opts.dragMode === "windowLevel" ? "windowLevel" : "contrast",
+    center: "pan",
+    wheel: "crosshair",
+    "ctrl+wheel": "zoom",
+    touch: "crosshair",
+    pinch: "crosshair",
+  };
+  this.activeMouseMode = null; // name of the mode handling the button that is held down
+  // keyboard actions by name, see registerKeyAction()
+  this.keyActions = Object.assign({}, defaultKeyActions);
+  // bindings set with setKeyBinding(), these override the hot key options. A null action removes a binding
+  this.keyBindings = {};
+  this.overlayOpacities = null; // opacity of each overlay while they are hidden by toggleOverlays()
+
   log.setLogLevel(this.opts.logging);
 
   // maping of keys (event strings) to rxjs subjects
   this.eventsToSubjects = {
     location: this.scene.location$,
     loading: this.scene.loading$,
+    frameChange: this.scene.frameChange$,
+    intensityRange: this.intensityRange$,
   };
 
   // rxjs subscriptions. Keeping a reference array like this allows us to unsubscribe later
@@ -211,17 +323,23 @@ Niivue.prototype.attachTo = async function (id) {
 
 /**
  * register a callback function to run when known Niivue events happen
- * @param {("location")} event the name of the event to watch for. Event names are shown in the type column
+ * @param {("location"|"loading"|"frameChange"|"intensityRange")} event the name of the event to watch for. Event names are shown in the type column
  * @param {function} callback the function to call when the event happens
  * @example
  * niivue = new Niivue()
  *
  * // 'location' update event is fired when the crosshair changes position via user input
  * function doSomethingWithLocationData(data){
- *    // data has the shape {mm: [N, N, N], vox: [N, N, N], frac: [N, N, N], values: this.volumes.map(v => {return val})}
+ *    // data has the shape {mm: [N, N, N], vox: [N, N, N], frac: [N, N, N], values: this.volumes.map(v => {return val}), series: this.volumes.map(v => {return [val, ...]})}
  *    //...
  * }
  * niivue.on('location', doSomethingWithLocationData)
+ *
+ * // 'frameChange' event is fired when a different volume of a 4D image is shown, data has the shape {id: volume id, frame4D: N}
+ * niivue.on('frameChange', (data) => console.log(data.frame4D))
+ *
+ * // 'intensityRange' event is fired when the display range is changed with the mouse, data has the shape [cal_min, cal_max]
+ * niivue.on('intensityRange', (range) => console.log(range))
  */
 Niivue.prototype.on = function (event, callback) {
   let knownEvents = Object.keys(this.eventsToSubjects);
@@ -237,7 +355,7 @@ Niivue.prototype.on = function (event, callback) {
 
 /**
  * off unsubscribes events and subjects (the opposite of on)
- * @param {("location")} event the name of the event to watch for. Event names are shown in the type column
+ * @param {("location"|"loading"|"frameChange"|"intensityRange")} event the name of the event to watch for. Event names are shown in the type column
  * @example
  * niivue = new Niivue()
  * niivue.off('location')
@@ -395,6 +513,223 @@ Niivue.prototype.mouseContextMenuListener = function (e) {
   e.preventDefault();
 };
 
+// not included in public docs
+// built-in interaction modes, see registerMouseMode(). Handlers are called with the Niivue instance as this.
+// down(x, y, e) and move(x, y, e) get canvas coordinates, wheel(x, y, delta, e) gets a negative delta for scrolling up or pinching in
+const defaultMouseModes = {
+  crosshair: {
+    //in the 3D render, dragging the cut face of a clip plane moves the plane instead of rotating
+    down: function (x, y) {
+      if (this.clipPlaneDown(x, y)) return;
+      this.mouseClick(x, y);
+      this.mouseDown(x, y);
+    },
+    move: function (x, y) {
+      if (this.clipPlaneDragStart) {
+        this.clipPlaneMove(x, y);
+        return;
+      }
+      this.mouseClick(x, y);
+      this.mouseMove(x, y);
+    },
+    up: function () {
+      this.clipPlaneDragStart = null;
+    },
+    wheel: function (x, y, delta) {
+      this.sliceScroll2D(delta < 0 ? -0.01 : 0.01, x, y);
+    },
+  },
+  contrast: {
+    down: function (x, y) {
+      this.isDragging = true;
+      this.dragStart[0] = x;
+      this.dragStart[1] = y;
+    },
+    move: function (x, y) {
+      this.dragEnd[0] = x;
+      this.dragEnd[1] = y;
+    },
+    up: function () {
+      if (!this.isDragging) return;
+      this.isDragging = false;
+      if (this.opts.showROIStatsOnDrag) this.calculateDragStats();
+      else {
+        this.calculateNewRange();
+        this.refreshLayers(this.volumes[0], 0, this.volumes.length);
+      }
+    },
+  },
+  windowLevel: {
+    down: function (x, y) {
+      this.windowLevelDown(x, y);
+    },
+    move: function (x, y) {
+      if (this.windowLevelStart) this.windowLevelMove(x, y);
+    },
+    up: function () {
+      this.windowLevelStart = null;
+    },
+  },
+  pan: {
+    down: function (x, y) {
+      let axCorSag = this.canvasPos2axCorSag([x, y]);
+      if (axCorSag < 0) return;
+      this.panStart = {
+        axCorSag,
+        xy: [x, y],
+        pan2D: this.scene.pan2D[axCorSag].slice(),
+      };
+    },
+    move: function (x, y) {
+      if (!this.panStart) return;
+      let { axCorSag, xy, pan2D } = this.panStart;
+      let tile = this.screenSlices
+        .slice(0, this.numScreenSlices)
+        .find((v) => v.axCorSag === axCorSag);
+      if (tile)
+        this.setPan2D(
+          axCorSag,
+          pan2D[0] + (x - xy[0]) / tile.tileLeftTopWidthHeight[2],
+          pan2D[1] + (y - xy[1]) / tile.tileLeftTopWidthHeight[3],
+          pan2D[2]
+        );
+    },
+    up: function () {
+      this.panStart = null;
+    },
+  },
+  zoom: {
+    //dragging up zooms in about the point that was clicked, dragging the full canvas height zooms 16x
+    down: function (x, y) {
+      this.zoomStart = { xy: [x, y], y };
+    },
+    move: function (x, y) {
+      if (!this.zoomStart) return;
+      let { xy } = this.zoomStart;
+      let scale = Math.pow(16, (this.zoomStart.y - y) / this.gl.canvas.height);
+      this.zoomStart.y = y;
+      this.zoom2D(scale, xy[0], xy[1]);
+    },
+    up: function () {
+      this.zoomStart = null;
+    },
+    wheel: function (x, y, delta) {
+      this.zoom2D(delta < 0 ? 1.1 : 1 / 1.1, x, y);
+    },
+  },
+  measure: {
+    //measurements are made on 2D slices, elsewhere (e.g. the 3D render) the crosshair mode applies
+    down: function (x, y, e) {
+      this.isMeasureDrag =
+        this.isMeasuring() && this.canvasPos2axCorSag([x, y]) >= 0;
+      if (this.isMeasureDrag) this.measureDown(x, y);
+      else this.callMouseMode("crosshair", "down", x, y, e);
+    },
+    move: function (x, y, e) {
+      if (this.isMeasureDrag) this.measureMove(x, y);
+      else this.callMouseMode("crosshair", "move", x, y, e);
+    },
+    up: function (e) {
+      if (this.isMeasureDrag) this.measureUp();
+      else this.callMouseMode("crosshair", "up", e);
+      this.isMeasureDrag = false;
+    },
+    wheel: function (x, y, delta, e) {
+      this.callMouseMode("crosshair", "wheel", x, y, delta, e);
+    },
+  },
+  draw: {
+    //paint with the pen even if drawing is not enabled for the crosshair
+    down: function (x, y) {
+      if (!this.drawingVolume) this.createEmptyDrawing();
+      let isEnabled = this.opts.drawingEnabled;
+      this.opts.drawingEnabled = true;
+      this.mouseClick(x, y);
+      this.opts.drawingEnabled = isEnabled;
+    },
+    move: function (x, y) {
+      let isEnabled = this.opts.drawingEnabled;
+      this.opts.drawingEnabled = true;
+      this.mouseClick(x, y);
+      this.opts.drawingEnabled = isEnabled;
+    },
+    wheel: function (x, y, delta) {
+      this.sliceScroll2D(delta < 0 ? -0.01 : 0.01, x, y);
+    },
+  },
+};
+
+/**
+ * add an interaction mode (or replace one) that can then be bound to a mouse button, the wheel or a touch gesture with setMouseMode.
+ * Each handler is optional and is called with the Niivue instance as this.
+ * @param {string} name the name of the mode
+ * @param {Object} handlers down(x, y, event) when a button is pressed or a finger touches, move(x, y, event) while it is held,
+ * up(event) when it is released, and wheel(x, y, delta, event) for the wheel (delta < 0 scrolls up) or a pinch (delta < 0 pinches in).
+ * x and y are canvas coordinates.
+ * @example
+ * niivue = new Niivue()
+ * niivue.registerMouseMode("report", { down: function (x, y) { console.log(this.canvasPos2frac([x, y])) } })
+ * niivue.setMouseMode("report", "shift+left")
+ */
+Niivue.prototype.registerMouseMode = function (name, handlers) {
+  if (typeof name !== "string" || name.length < 1)
+    throw new Error("mouse mode name must be a non-empty string");
+  for (let event of ["down", "move", "up", "wheel"]) {
+    if (handlers[event] !== undefined && typeof handlers[event] !== "function")
+      throw new Error(
+        'mouse mode "' + name + '" ' + event + " handler is not a function"
+      );
+  }
+  this.mouseModes[name] = handlers;
+}; // registerMouseMode()
+
+/**
+ * choose what a mouse button, the scroll wheel or a touch gesture does
+ * @param {string} mode "crosshair", "contrast", "windowLevel", "pan", "zoom", "measure", "draw" or a mode added with registerMouseMode
+ * @param {string} [binding="left"] "left", "right" or "center" button, "wheel", "touch" (one finger) or "pinch" (two fingers).
+ * Prefix "ctrl+", "shift+" or "alt+" (e.g. "shift+left") for the mode used while that key is held, otherwise the unprefixed binding applies.
+ * @example
+ * niivue = new Niivue()
+ * niivue.setMouseMode("pan", "shift+left")
+ * niivue.setMouseMode("zoom", "wheel")
+ */
+Niivue.prototype.setMouseMode = function (mode, binding = "left") {
+  if (!this.mouseModes[mode])
+    throw new Error('unknown mouse mode "' + mode + '"');
+  let parts = binding.split("+");
+  let input = parts.pop();
+  if (
+    !["left", "right", "center", "wheel", "touch", "pinch"].includes(input) ||
+    parts.length > 1 ||
+    (parts.length === 1 && !["ctrl", "shift", "alt"].includes(parts[0]))
+  )
+    throw new Error('unknown mouse binding "' + binding + '"');
+  if (mode === "measure" && this.opts.measureMode === "none")
+    this.opts.measureMode = "distance";
+  this.mouseModeBindings[binding] = mode;
+}; // setMouseMode()
+
+// not included in public docs
+// the mode bound to an input ("left", "right", "center", "wheel", "touch" or "pinch"), a binding for a held modifier key comes first
+Niivue.prototype.mouseModeFor = function (input, e) {
+  let modifiers = [];
+  if (e && (e.ctrlKey || e.metaKey)) modifiers.push("ctrl");
+  if (e && e.shiftKey) modifiers.push("shift");
+  if (e && e.altKey) modifiers.push("alt");
+  for (let modifier of modifiers) {
+    let mode = this.mouseModeBindings[modifier + "+" + input];
+    if (mode) return mode;
+  }
+  return this.mouseModeBindings[input];
+}; // mouseModeFor()
+
+// not included in public docs
+// call the down, move, up or wheel handler of a mode, if it has one
+Niivue.prototype.callMouseMode = function (mode, event, ...args) {
+  let handlers = this.mouseModes[mode];
+  if (handlers && handlers[event]) handlers[event].apply(this, args);
+}; // callMouseMode()
+
 // not included in public docs
 // handler for all mouse button presses
 // note: no test yet
@@ -402,40 +737,74 @@ Niivue.prototype.mouseDownListener = function (e) {
   e.preventDefault();
   // var rect = this.canvas.getBoundingClientRect();
   this.scene.mousedown = true;
+  this.roiStats = null;
+  let input;
   if (e.button === this.scene.mouseButtonLeft) {
     this.scene.mouseButtonLeftDown = true;
-    this.mouseLeftButtonHandler(e);
+    input = "left";
   } else if (e.button === this.scene.mouseButtonRight) {
     this.scene.mouseButtonRightDown = true;
-    this.mouseRightButtonHandler(e);
-  }
-};
-
-// not included in public docs
-// handler for mouse left button down
-// note: no test yet
-Niivue.prototype.mouseLeftButtonHandler = function (e) {
+    input = "right";
+  } else if (e.button === this.scene.mouseButtonCenter) {
+    this.scene.mouseButtonCenterDown = true;
+    input = "center";
+  } else return;
   let pos = this.getNoPaddingNoBorderCanvasRelativeMousePosition(
     e,
     this.gl.canvas
   );
-  this.mouseClick(pos.x, pos.y);
-  this.mouseDown(pos.x, pos.y);
+  this.activeMouseMode = this.mouseModeFor(input, e);
+  this.callMouseMode(this.activeMouseMode, "down", pos.x, pos.y, e);
 };
 
+/**
+ * choose what dragging with the right mouse button does
+ * @param {string} mode "contrast" to set the intensity range from the voxels in a selection box,
+ * or "windowLevel" where horizontal movement changes the window width and vertical movement the window center
+ * @example
+ * niivue = new Niivue()
+ * niivue.setDragMode("windowLevel")
+ */
+Niivue.prototype.setDragMode = function (mode) {
+  if (!["contrast", "windowLevel"].includes(mode))
+    throw new Error(
+      'unknown drag mode "' + mode + '", expected "contrast" or "windowLevel"'
+    );
+  if (["contrast", "windowLevel"].includes(this.mouseModeBindings.right))
+    this.mouseModeBindings.right = mode;
+  this.opts.dragMode = mode;
+}; // setDragMode()
+
 // not included in public docs
-// handler for mouse right button down
-// note: no test yet
-Niivue.prototype.mouseRightButtonHandler = function (e) {
-  this.isDragging = true;
-  let pos = this.getNoPaddingNoBorderCanvasRelativeMousePosition(
-    e,
-    this.gl.canvas
-  );
-  this.dragStart[0] = pos.x;
-  this.dragStart[1] = pos.y;
-  return;
-};
+// start a window/level drag of the active layer
+Niivue.prototype.windowLevelDown = function (x, y) {
+  let volume = this.volumes[this.activeLayer];
+  if (!volume) return;
+  this.windowLevelStart = {
+    xy: [x, y],
+    calMinMax: [volume.cal_min, volume.cal_max],
+  };
+}; // windowLevelDown()
+
+// not included in public docs
+// dragging right widens the window, dragging down raises its center
+Niivue.prototype.windowLevelMove = function (x, y) {
+  let volume = this.volumes[this.activeLayer];
+  if (!volume) return;
+  let { xy, calMinMax } = this.windowLevelStart;
+  //crossing the canvas changes the window by the full intensity range of the image
+  let range = volume.global_max - volume.global_min;
+  if (!(range > 0)) range = calMinMax[1] - calMinMax[0];
+  let sensitivity =
+    range / Math.min(this.gl.canvas.width, this.gl.canvas.height);
+  let width = calMinMax[1] - calMinMax[0] + (x - xy[0]) * sensitivity;
+  width = Math.max(width, range * 1e-6);
+  let center = (calMinMax[0] + calMinMax[1]) / 2 + (y - xy[1]) * sensitivity;
+  volume.cal_min = center - width / 2;
+  volume.cal_max = center + width / 2;
+  this.intensityRange$.next([volume.cal_min, volume.cal_max]);
+  this.updateGLVolume();
+}; // windowLevelMove()
 
 // not included in public docs
 Niivue.prototype.calculateMinMaxVoxIdx = function (array) {
@@ -514,18 +883,314 @@ Niivue.prototype.calculateNewRange = function (volIdx = 0) {
   this.intensityRange$.next([mnScale, mxScale]);
 };
 
+/**
+ * Statistics of the voxels in a region of interest, see getROIStats
+ * @typedef {Object} Niivue~ROIStats
+ * @property {number} count - number of voxels
+ * @property {number} mm3 - volume in cubic millimeters
+ * @property {number} mean - mean intensity
+ * @property {number} sd - standard deviation of the intensity
+ * @property {number} median - median intensity
+ * @property {number} min - lowest intensity
+ * @property {number} max - highest intensity
+ */
+
+/**
+ * calculate statistics of the intensities of a volume in a region of interest (ROI)
+ * @param {string} volumeId the id of the volume
+ * @param {object} roi the region: {type: "box", min: [x,y,z], max: [x,y,z]} with inclusive voxel coordinates of the volume,
+ * {type: "sphere", center: [x,y,z], radius: r} in millimeters, or {type: "mask", mask: someNVImage} for the nonzero voxels of an image
+ * @returns {Niivue~ROIStats} the statistics of the current frame of the volume, NaN intensities are ignored
+ * @example
+ * niivue = new Niivue()
+ * stats = niivue.getROIStats(niivue.volumes[0].id, {type: "sphere", center: [0, -18, 12], radius: 10})
+ * stats = niivue.getROIStats(niivue.volumes[0].id, {type: "mask", mask: niivue.drawingVolume})
+ */
+Niivue.prototype.getROIStats = function (volumeId, roi) {
+  let volume = this.volumes[this.getVolumeIndexByID(volumeId)];
+  if (!volume) throw new Error("no volume with id " + volumeId);
+  let dims = volume.hdr.dims.slice(1, 4);
+  let a = volume.hdr.affine;
+  let vox2mm = (x, y, z) =>
+    [0, 1, 2].map((i) => a[i][0] * x + a[i][1] * y + a[i][2] * z + a[i][3]);
+  let lo = [0, 0, 0];
+  let hi = dims.map((d) => d - 1);
+  let isInside = () => true;
+  if (roi.type === "box") {
+    lo = [0, 1, 2].map((i) => Math.max(Math.min(roi.min[i], roi.max[i]), 0));
+    hi = [0, 1, 2].map((i) =>
+      Math.min(Math.max(roi.min[i], roi.max[i]), dims[i] - 1)
+    );
+  } else if (roi.type === "sphere") {
+    //a voxel step along axis i moves the length of column i of the affine
+    let c = volume.mm2vox(roi.center);
+    for (let i = 0; i < 3; i++) {
+      let step = Math.hypot(a[0][i], a[1][i], a[2][i]);
+      let n = Math.ceil(roi.radius / step);
+      lo[i] = Math.max(c[i] - n, 0);
+      hi[i] = Math.min(c[i] + n, dims[i] - 1);
+    }
+    let r2 = roi.radius * roi.radius;
+    isInside = (x, y, z) => {
+      let mm = vox2mm(x, y, z);
+      let d2 = [0, 1, 2].reduce((d, i) => d + (mm[i] - roi.center[i]) ** 2, 0);
+      return d2 <= r2;
+    };
+  } else if (roi.type === "mask") {
+    let mask = roi.mask;
+    let [mx, my, mz] = mask.hdr.dims.slice(1, 4);
+    if (
+      this.arrayEquals([mx, my, mz], dims) &&
+      this.arrayEquals(mask.hdr.affine.flat(), a.flat())
+    )
+      isInside = (x, y, z) => mask.img[x + y * mx + z * mx * my] !== 0;
+    else {
+      //the mask has another voxel grid: use the mask voxel nearest each voxel
+      //inverse(mask affine) * volume affine, built once (the affines are row-major)
+      let volToMask = mat.mat4.fromValues(...mask.hdr.affine.flat());
+      mat.mat4.transpose(volToMask, volToMask);
+      mat.mat4.invert(volToMask, volToMask);
+      let volToMm = mat.mat4.fromValues(...a.flat());
+      mat.mat4.transpose(volToMm, volToMm);
+      mat.mat4.multiply(volToMask, volToMask, volToMm);
+      let pos = mat.vec4.create();
+      isInside = (x, y, z) => {
+        mat.vec4.set(pos, x, y, z, 1);
+        mat.vec4.transformMat4(pos, pos, volToMask);
+        let v = [Math.round(pos[0]), Math.round(pos[1]), Math.round(pos[2])];
+        if (v[0] < 0 || v[1] < 0 || v[2] < 0) return false;
+        if (v[0] >= mx || v[1] >= my || v[2] >= mz) return false;
+        return mask.img[v[0] + v[1] * mx + v[2] * mx * my] !== 0;
+      };
+    }
+  } else
+    throw new Error(
+      'unknown ROI type "' + roi.type + '", expected "box", "sphere" or "mask"'
+    );
+  let values = [];
+  for (let z = lo[2]; z <= hi[2]; z++)
+    for (let y = lo[1]; y <= hi[1]; y++)
+      for (let x = lo[0]; x <= hi[0]; x++) {
+        if (!isInside(x, y, z)) continue;
+        let v = volume.getValue(x, y, z, volume.frame4D);
+        if (!isNaN(v)) values.push(v);
+      }
+  let count = values.length;
+  let pixDims = volume.hdr.pixDims;
+  let mm3 = count * Math.abs(pixDims[1] * pixDims[2] * pixDims[3]);
+  if (count < 1)
+    return { count, mm3, mean: NaN, sd: NaN, median: NaN, min: NaN, max: NaN };
+  let sorted = Float64Array.from(values).sort();
+  let mean = sorted.reduce((sum, v) => sum + v, 0) / count;
+  let ss = sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0);
+  let sd = count > 1 ? Math.sqrt(ss / (count - 1)) : 0;
+  let mid = Math.floor(count / 2);
+  let median = count % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  return {
+    count,
+    mm3,
+    mean,
+    sd,
+    median,
+    min: sorted[0],
+    max: sorted[count - 1],
+  };
+}; // getROIStats()
+
+// not included in public docs
+// statistics of the background image in the right-drag selection box
+Niivue.prototype.calculateDragStats = function () {
+  if (this.sliceType === this.sliceTypeRender) return;
+  let volume = this.volumes[0];
+  let start = this.canvasPos2frac(this.dragStart);
+  let end = this.canvasPos2frac(this.dragEnd);
+  if (start.some((v) => v === undefined) || end.some((v) => v === undefined))
+    return; //box corner outside of the slice
+  let roi = {
+    type: "box",
+    min: volume.mm2vox(this.frac2mm(start)),
+    max: volume.mm2vox(this.frac2mm(end)),
+  };
+  this.roiStats = {
+    xy: [Math.max(this.dragStart[0], this.dragEnd[0]), this.dragEnd[1]],
+    stats: this.getROIStats(volume.id, roi),
+  };
+}; // calculateDragStats()
+
+/**
+ * choose what the left mouse button measures on 2D slices
+ * @param {string} mode "distance" (drag a line), "angle" (click three points, the angle is at the second) or "none" to move the crosshair
+ * @example
+ * niivue = new Niivue()
+ * niivue.setMeasureMode("distance")
+ */
+Niivue.prototype.setMeasureMode = function (mode) {
+  if (!["none", "distance", "angle"].includes(mode))
+    throw new Error(
+      'unknown measure mode "' +
+        mode +
+        '", expected "none", "distance" or "angle"'
+    );
+  this.opts.measureMode = mode;
+  this.measurePending = [];
+  if (mode !== "none") this.mouseModeBindings.left = "measure";
+  else if (this.mouseModeBindings.left === "measure")
+    this.mouseModeBindings.left = "crosshair";
+  this.drawScene();
+}; // setMeasureMode()
+
+/**
+ * Distance or angle measured on a 2D slice, see getMeasurements
+ * @typedef {Object} Niivue~Measurement
+ * @property {string} id - unique id, used by removeMeasurement
+ * @property {string} type - "distance" or "angle"
+ * @property {number} axCorSag - the slice orientation: axial (0), coronal (1) or sagittal (2)
+ * @property {number[][]} points - the end points (distance) or the three points (angle) in millimeters
+ * @property {number} value - length in millimeters or angle in degrees
+ */
+
+/**
+ * list the distances and angles that have been measured
+ * @returns {Niivue~Measurement[]} the measurements
+ * @example
+ * niivue = new Niivue()
+ * lengths = niivue.getMeasurements().filter((m) => m.type === "distance").map((m) => m.value)
+ */
+Niivue.prototype.getMeasurements = function () {
+  return this.measurements.map((m) => ({
+    id: m.id,
+    type: m.type,
+    axCorSag: m.axCorSag,
+    points: m.points.map((frac) => Array.from(this.frac2mm(frac).slice(0, 3))),
+    value: this.measurementValue(m.type, m.points),
+  }));
+}; // getMeasurements()
+
+/**
+ * remove a measurement
+ * @param {string} id the id of the measurement, or undefined to remove all measurements
+ * @returns {boolean} true if a measurement was removed
+ * @example
+ * niivue = new Niivue()
+ * niivue.removeMeasurement(niivue.getMeasurements()[0].id)
+ */
+Niivue.prototype.removeMeasurement = function (id) {
+  let n = this.measurements.length;
+  if (id === undefined) this.measurements = [];
+  else this.measurements = this.measurements.filter((m) => m.id !== id);
+  this.drawScene();
+  return this.measurements.length < n;
+}; // removeMeasurement()
+
+// not included in public docs
+Niivue.prototype.isMeasuring = function () {
+  return (
+    this.opts.measureMode !== "none" && this.sliceType !== this.sliceTypeRender
+  );
+}; // isMeasuring()
+
+// not included in public docs
+// length in millimeters or angle (at the second point) in degrees
+Niivue.prototype.measurementValue = function (type, points) {
+  let mm = points.map((frac) => this.frac2mm(frac));
+  let delta = (a, b) => [0, 1, 2].map((i) => a[i] - b[i]);
+  let norm = (v) => Math.hypot(v[0], v[1], v[2]);
+  if (type === "distance") return norm(delta(mm[1], mm[0]));
+  let u = delta(mm[0], mm[1]);
+  let v = delta(mm[2], mm[1]);
+  let cos = (u[0] * v[0] + u[1] * v[1] + u[2] * v[2]) / (norm(u) * norm(v));
+  return (Math.acos(Math.min(Math.max(cos, -1), 1)) * 180) / Math.PI;
+}; // measurementValue()
+
+// not included in public docs
+// the orientation of the 2D slice at a canvas location, -1 if there is none
+Niivue.prototype.canvasPos2axCorSag = function (canvasPos) {
+  for (let i = 0; i < this.numScreenSlices; i++) {
+    let axCorSag = this.screenSlices[i].axCorSag;
+    if (axCorSag > this.sliceTypeSagittal) continue;
+    if (this.isInView(canvasPos, i)) return axCorSag;
+  }
+  return -1;
+}; // canvasPos2axCorSag()
+
+// not included in public docs
+// true if a canvas location is within the view of screen slice i
+Niivue.prototype.isInView = function (canvasPos, i) {
+  let tile = this.screenSlices[i].tileLeftTopWidthHeight;
+  let x = canvasPos[0] - tile[0];
+  let y = canvasPos[1] - tile[1];
+  return x >= 0 && x < tile[2] && y >= 0 && y < tile[3];
+}; // isInView()
+
+// not included in public docs
+// start a distance, or add a point to an angle
+Niivue.prototype.measureDown = function (x, y) {
+  let axCorSag = this.canvasPos2axCorSag([x, y]);
+  if (axCorSag < 0) return;
+  let frac = this.canvasPos2frac([x, y]);
+  if (
+    this.opts.measureMode === "distance" ||
+    axCorSag !== this.measurePendingAxCorSag
+  )
+    this.measurePending = [];
+  this.measurePendingAxCorSag = axCorSag;
+  this.measurePending.push(frac);
+  if (this.opts.measureMode === "distance")
+    this.measurePending.push(frac.slice());
+  else if (this.measurePending.length === 3) this.addMeasurement();
+  this.drawScene();
+}; // measureDown()
+
+// not included in public docs
+// drag the end of a distance
+Niivue.prototype.measureMove = function (x, y) {
+  if (this.opts.measureMode !== "distance") return;
+  if (this.measurePending.length !== 2) return;
+  if (this.canvasPos2axCorSag([x, y]) !== this.measurePendingAxCorSag) return;
+  this.measurePending[1] = this.canvasPos2frac([x, y]);
+}; // measureMove()
+
+// not included in public docs
+// finish a distance
+Niivue.prototype.measureUp = function () {
+  if (this.opts.measureMode !== "distance") return;
+  if (this.measurePending.length !== 2) return;
+  if (this.measurementValue("distance", this.measurePending) > 0)
+    this.addMeasurement();
+  this.measurePending = [];
+}; // measureUp()
+
+// not included in public docs
+Niivue.prototype.addMeasurement = function () {
+  this.measurements.push({
+    id: uuidv4(),
+    type: this.opts.measureMode,
+    axCorSag: this.measurePendingAxCorSag,
+    points: this.measurePending,
+  });
+  this.measurePending = [];
+}; // addMeasurement()
+
 // not included in public docs
 // handler for mouse button up (all buttons)
 // note: no test yet
-Niivue.prototype.mouseUpListener = function () {
+Niivue.prototype.mouseUpListener = function (e) {
+  let mode = this.activeMouseMode;
+  if (!mode) {
+    if (this.scene.mouseButtonLeftDown) mode = this.mouseModeFor("left", e);
+    else if (this.scene.mouseButtonRightDown)
+      mode = this.mouseModeFor("right", e);
+    else if (this.scene.mouseButtonCenterDown)
+      mode = this.mouseModeFor("center", e);
+  }
+  if (mode) this.callMouseMode(mode, "up", e);
+  this.activeMouseMode = null;
   this.scene.mousedown = false;
+  this.drawPenLocation = [NaN, NaN, NaN];
+  this.commitEdit();
   this.scene.mouseButtonRightDown = false;
   this.scene.mouseButtonLeftDown = false;
-  if (this.isDragging) {
-    this.isDragging = false;
-    this.calculateNewRange();
-    this.refreshLayers(this.volumes[0], 0, this.volumes.length);
-  }
+  this.scene.mouseButtonCenterDown = false;
   this.drawScene();
 };
 
@@ -533,13 +1198,13 @@ Niivue.prototype.mouseUpListener = function () {
 Niivue.prototype.checkMultitouch = function (e) {
   if (this.scene.touchdown && !this.multiTouchGesture) {
     var rect = this.canvas.getBoundingClientRect();
-    this.mouseClick(
-      e.touches[0].clientX - rect.left,
-      e.touches[0].clientY - rect.top
-    );
-    this.mouseDown(
+    this.activeMouseMode = this.mouseModeFor("touch", e);
+    this.callMouseMode(
+      this.activeMouseMode,
+      "down",
       e.touches[0].clientX - rect.left,
-      e.touches[0].clientY - rect.top
+      e.touches[0].clientY - rect.top,
+      e
     );
   }
 };
@@ -562,8 +1227,12 @@ Niivue.prototype.touchStartListener = function (e) {
 // not included in public docs
 // handler for touchend (finger lift off screen)
 // note: no test yet
-Niivue.prototype.touchEndListener = function () {
+Niivue.prototype.touchEndListener = function (e) {
+  if (this.activeMouseMode) this.callMouseMode(this.activeMouseMode, "up", e);
+  this.activeMouseMode = null;
   this.scene.touchdown = false;
+  this.drawPenLocation = [NaN, NaN, NaN];
+  this.commitEdit();
   this.lastTwoTouchDistance = 0;
   this.multiTouchGesture = false;
 };
@@ -578,13 +1247,8 @@ Niivue.prototype.mouseMoveListener = function (e) {
       e,
       this.gl.canvas
     );
-    if (this.scene.mouseButtonLeftDown) {
-      this.mouseClick(pos.x, pos.y);
-      this.mouseMove(pos.x, pos.y);
-    } else if (this.scene.mouseButtonRightDown) {
-      this.dragEnd[0] = pos.x;
-      this.dragEnd[1] = pos.y;
-    }
+    if (this.activeMouseMode)
+      this.callMouseMode(this.activeMouseMode, "move", pos.x, pos.y, e);
     this.drawScene();
     this.scene.prevX = this.scene.currX;
     this.scene.prevY = this.scene.currY;
@@ -615,14 +1279,14 @@ Niivue.prototype.resetBriCon = function () {
 Niivue.prototype.touchMoveListener = function (e) {
   if (this.scene.touchdown && e.touches.length < 2) {
     var rect = this.canvas.getBoundingClientRect();
-    this.mouseClick(
-      e.touches[0].clientX - rect.left,
-      e.touches[0].clientY - rect.top
-    );
-    this.mouseMove(
-      e.touches[0].clientX - rect.left,
-      e.touches[0].clientY - rect.top
-    );
+    if (this.activeMouseMode)
+      this.callMouseMode(
+        this.activeMouseMode,
+        "move",
+        e.touches[0].clientX - rect.left,
+        e.touches[0].clientY - rect.top,
+        e
+      );
   } else {
     // Check this event for 2-touch Move/Pinch/Zoom gesture
     this.handlePinchZoom(e);
@@ -643,84 +1307,228 @@ Niivue.prototype.handlePinchZoom = function (e) {
       e.touches[0].clientY - rect.top,
     ];
 
-    // scroll 2D slices
-    if (dist < this.lastTwoTouchDistance) {
-      // this.volScaleMultiplier = Math.max(0.5, this.volScaleMultiplier * 0.95);
-      this.sliceScroll2D(
-        -0.01,
-        e.touches[0].clientX - rect.left,
-        e.touches[0].clientY - rect.top
-      );
-    } else {
-      // this.volScaleMultiplier = Math.min(2.0, this.volScaleMultiplier * 1.05);
-      this.sliceScroll2D(
-        0.01,
-        e.touches[0].clientX - rect.left,
-        e.touches[0].clientY - rect.top
-      );
-    }
+    // pinching in acts like scrolling the wheel up, e.g. scrolls 2D slices
+    this.callMouseMode(
+      this.mouseModeFor("pinch", e),
+      "wheel",
+      e.touches[0].clientX - rect.left,
+      e.touches[0].clientY - rect.top,
+      dist < this.lastTwoTouchDistance ? -1 : 1,
+      e
+    );
     // this.drawScene();
     this.lastTwoTouchDistance = dist;
   }
 };
 
+// not included in public docs
+// built-in keyboard actions, see registerKeyAction(). Actions are called with the Niivue instance as this and the keyboard event.
+const defaultKeyActions = {
+  cycleClipPlane: function () {
+    if (this.sliceType != this.sliceTypeRender) return;
+    this.currentClipPlaneIndex = (this.currentClipPlaneIndex + 1) % 4;
+    this.clipPlaneObject3D.isVisible = this.currentClipPlaneIndex;
+    //[depth, azimuth, elevation] of planes facing x, y and z through the center
+    switch (this.currentClipPlaneIndex) {
+      case 0:
+        this.setClipPlanes([]);
+        this.clipPlaneObject3D.rotation = [0, 0, 0];
+        break;
+      case 1:
+        this.setClipPlane([0, 90, 0]);
+        this.clipPlaneObject3D.rotation = [0, 1, 0];
+        break;
+      case 2:
+        this.setClipPlane([0, 180, 0]);
+        this.clipPlaneObject3D.rotation = [1, 0, 0];
+        break;
+      case 3:
+        this.setClipPlane([0, 0, -90]);
+        this.clipPlaneObject3D.rotation = [0, 0, 1];
+        break;
+    }
+  },
+  cycleViewMode: function () {
+    this.setSliceType((this.sliceType + 1) % 5); // 5 total slice types
+  },
+  cycleRenderMode: function () {
+    let idx = renderModes.indexOf(this.opts.renderMode);
+    this.setRenderMode(renderModes[(idx + 1) % renderModes.length]);
+  },
+  undo: function () {
+    this.undo();
+  },
+  redo: function () {
+    this.redo();
+  },
+  sliceLeft: function () {
+    this.moveCrosshairInVox(-1, 0, 0);
+  },
+  sliceRight: function () {
+    this.moveCrosshairInVox(1, 0, 0);
+  },
+  slicePosterior: function () {
+    this.moveCrosshairInVox(0, -1, 0);
+  },
+  sliceAnterior: function () {
+    this.moveCrosshairInVox(0, 1, 0);
+  },
+  sliceInferior: function () {
+    this.moveCrosshairInVox(0, 0, -1);
+  },
+  sliceSuperior: function () {
+    this.moveCrosshairInVox(0, 0, 1);
+  },
+  cycleActiveLayer: function () {
+    if (this.volumes.length < 1) return;
+    this.activeLayer = (this.activeLayer + 1) % this.volumes.length;
+    this.drawScene();
+  },
+  toggleOverlays: function () {
+    this.toggleOverlays();
+  },
+  cycleColormap: function () {
+    let volume = this.volumes[this.activeLayer];
+    if (!volume) return;
+    let names = this.colorMaps();
+    let idx = names.findIndex(
+      (name) => name.toLowerCase() === volume.colorMap.toLowerCase()
+    );
+    this.setColorMap(volume.id, names[(idx + 1) % names.length]);
+  },
+  increaseOpacity: function () {
+    let volume = this.volumes[this.activeLayer];
+    if (!volume) return;
+    this.setOpacity(this.activeLayer, Math.min(volume.opacity + 0.1, 1));
+  },
+  decreaseOpacity: function () {
+    let volume = this.volumes[this.activeLayer];
+    if (!volume) return;
+    this.setOpacity(this.activeLayer, Math.max(volume.opacity - 0.1, 0));
+  },
+  saveScreenshot: function () {
+    this.saveScreenshot();
+  },
+};
+
+// not included in public docs
+// actions that ignore a repeated key within opts.keyDebounceTime, all other actions respond to every key
+const debouncedKeyActions = [
+  "cycleClipPlane",
+  "cycleViewMode",
+  "cycleRenderMode",
+];
+
+/**
+ * add a keyboard action (or replace one) that can then be bound to a key with setKeyBinding
+ * @param {string} name the name of the action
+ * @param {function} action called with the Niivue instance as this and the keyboard event
+ * @example
+ * niivue = new Niivue()
+ * niivue.registerKeyAction("radiological", function () { this.setRadiologicalConvention(!this.getRadiologicalConvention()) })
+ * niivue.setKeyBinding("KeyR", "radiological")
+ */
+Niivue.prototype.registerKeyAction = function (name, action) {
+  if (typeof name !== "string" || name.length < 1)
+    throw new Error("key action name must be a non-empty string");
+  if (typeof action !== "function")
+    throw new Error('key action "' + name + '" is not a function');
+  this.keyActions[name] = action;
+}; // registerKeyAction()
+
+/**
+ * choose what a key does. Built-in actions are "sliceLeft", "sliceRight", "slicePosterior", "sliceAnterior",
+ * "sliceInferior", "sliceSuperior" (move the crosshair one voxel), "cycleActiveLayer", "toggleOverlays",
+ * "cycleColormap", "increaseOpacity", "decreaseOpacity" (of the active layer), "saveScreenshot", "cycleClipPlane",
+ * "cycleViewMode", "cycleRenderMode", "undo" and "redo"
+ * @param {string} code the KeyboardEvent.code of the key (e.g. "KeyL" or "ArrowUp"), prefixed with "ctrl+", "shift+"
+ * and/or "alt+" (in that order, e.g. "ctrl+shift+KeyZ") for the action used while those keys are held
+ * @param {string} action the name of the action, or null to remove the binding
+ * @example
+ * niivue = new Niivue()
+ * niivue.setKeyBinding("KeyI", "cycleColormap")
+ * niivue.setKeyBinding("KeyM", null)
+ */
+Niivue.prototype.setKeyBinding = function (code, action) {
+  if (typeof code !== "string" || code.length < 1)
+    throw new Error("key code must be a non-empty string");
+  if (action === null || action === undefined) {
+    this.keyBindings[code] = null;
+    return;
+  }
+  if (!this.keyActions[action])
+    throw new Error('unknown key action "' + action + '"');
+  this.keyBindings[code] = action;
+}; // setKeyBinding()
+
+// not included in public docs
+// action of each key, by KeyboardEvent.code optionally prefixed with modifier keys.
+// Built from the hot key options on every call so that changes to opts take effect, then overridden by setKeyBinding()
+Niivue.prototype.currentKeyBindings = function () {
+  let bindings = {
+    ArrowLeft: "sliceLeft",
+    ArrowRight: "sliceRight",
+    ArrowDown: "slicePosterior",
+    ArrowUp: "sliceAnterior",
+    PageDown: "sliceInferior",
+    PageUp: "sliceSuperior",
+  };
+  //an empty hot key option leaves its action unbound
+  let bind = (prefix, code, action) => {
+    if (code) bindings[prefix + code] = action;
+  };
+  bind("", this.opts.clipPlaneHotKey, "cycleClipPlane");
+  bind("", this.opts.viewModeHotKey, "cycleViewMode");
+  bind("", this.opts.renderModeHotKey, "cycleRenderMode");
+  bind("ctrl+", this.opts.undoHotKey, "undo");
+  bind("ctrl+shift+", this.opts.undoHotKey, "redo");
+  bind("ctrl+", this.opts.redoHotKey, "redo");
+  bind("", this.opts.cycleActiveLayerHotKey, "cycleActiveLayer");
+  bind("", this.opts.toggleOverlaysHotKey, "toggleOverlays");
+  bind("", this.opts.cycleColormapHotKey, "cycleColormap");
+  bind("", this.opts.increaseOpacityHotKey, "increaseOpacity");
+  bind("", this.opts.decreaseOpacityHotKey, "decreaseOpacity");
+  bind("", this.opts.saveScreenshotHotKey, "saveScreenshot");
+  return Object.assign(bindings, this.keyBindings);
+}; // currentKeyBindings()
+
 // not included in public docs
 // handler for keyboard shortcuts
 Niivue.prototype.keyUpListener = function (e) {
-  if (e.code === this.opts.clipPlaneHotKey) {
-    if (this.sliceType != this.sliceTypeRender) {
-      return;
-    }
+  let modifiers = "";
+  if (e.ctrlKey || e.metaKey) modifiers += "ctrl+";
+  if (e.shiftKey) modifiers += "shift+";
+  if (e.altKey) modifiers += "alt+";
+  //a key without a binding for the held modifiers does what it does on its own
+  let bindings = this.currentKeyBindings();
+  let action = bindings[modifiers + e.code];
+  if (action === undefined) action = bindings[e.code];
+  if (!action || !this.keyActions[action]) return;
+  if (debouncedKeyActions.includes(action)) {
     let now = new Date().getTime();
     let elapsed = now - this.lastCalled;
-    if (elapsed > this.opts.keyDebounceTime) {
-      this.currentClipPlaneIndex = (this.currentClipPlaneIndex + 1) % 4;
-      this.clipPlaneObject3D.isVisible = this.currentClipPlaneIndex;
-      switch (this.currentClipPlaneIndex) {
-        case 0:
-          this.scene.clipPlane = [0, 0, 0, 0];
-          this.clipPlaneObject3D.rotation = [0, 0, 0];
-          break;
-        case 1:
-          this.scene.clipPlane = [1, 0, 0, 0];
-          this.clipPlaneObject3D.rotation = [0, 1, 0];
-          break;
-        case 2:
-          this.scene.clipPlane = [0, 1, 0, 0];
-          this.clipPlaneObject3D.rotation = [1, 0, 0];
-          break;
-        case 3:
-          this.scene.clipPlane = [0, 0, 1, 0];
-          this.clipPlaneObject3D.rotation = [0, 0, 1];
-          break;
-      }
-      this.drawScene();
-      // e.preventDefault();
-    }
+    if (elapsed <= this.opts.keyDebounceTime) return;
     this.lastCalled = now;
-  } else if (e.code === this.opts.viewModeHotKey) {
-    let now = new Date().getTime();
-    let elapsed = now - this.lastCalled;
-    if (elapsed > this.opts.keyDebounceTime) {
-      this.setSliceType((this.sliceType + 1) % 5); // 5 total slice types
-      this.lastCalled = now;
-    }
   }
+  this.keyActions[action].call(this, e);
 };
 
 // not included in public docs
 // handler for scroll wheel events (slice scrolling)
 // note: no test yet
 Niivue.prototype.wheelListener = function (e) {
-  // scroll 2D slices
+  // scroll 2D slices, or whatever the mode bound to the wheel does
   e.preventDefault();
   e.stopPropagation();
   var rect = this.canvas.getBoundingClientRect();
-  if (e.deltaY < 0) {
-    this.sliceScroll2D(-0.01, e.clientX - rect.left, e.clientY - rect.top);
-  } else {
-    this.sliceScroll2D(0.01, e.clientX - rect.left, e.clientY - rect.top);
-  }
+  this.callMouseMode(
+    this.mouseModeFor("wheel", e),
+    "wheel",
+    e.clientX - rect.left,
+    e.clientY - rect.top,
+    e.deltaY,
+    e
+  );
 };
 
 // not included in public docs
@@ -786,6 +1594,30 @@ Niivue.prototype.dragOverListener = function (e) {
   e.preventDefault();
 };
 
+// not included in public docs
+// list the files of a dropped folder, including those in subfolders
+async function readDirectoryEntry(entry) {
+  if (entry.isFile) {
+    return [
+      await new Promise((resolve, reject) => entry.file(resolve, reject)),
+    ];
+  }
+  let reader = entry.createReader();
+  let entries = [];
+  //readEntries returns at most 100 entries per call
+  for (;;) {
+    let batch = await new Promise((resolve, reject) =>
+      reader.readEntries(resolve, reject)
+    );
+    if (batch.length < 1) break;
+    entries.push(...batch);
+  }
+  let files = [];
+  for (let i = 0; i < entries.length; i++)
+    files.push(...(await readDirectoryEntry(entries[i])));
+  return files;
+}
+
 // not included in public docs
 Niivue.prototype.dropListener = async function (e) {
   e.stopPropagation();
@@ -797,15 +1629,56 @@ Niivue.prototype.dropListener = async function (e) {
 
   const dt = e.dataTransfer;
   const url = dt.getData("text/uri-list");
+  //entries must be read before the first await, while the drop data is available
+  let entry = null;
+  if (dt.items && dt.items.length > 0 && dt.items[0].webkitGetAsEntry)
+    entry = dt.items[0].webkitGetAsEntry();
   if (url) {
     let volume = await NVImage.loadFromUrl(url);
     this.setVolume(volume);
+  } else if (entry && entry.isDirectory) {
+    //a dropped folder is loaded as a DICOM series
+    this.volumes = [];
+    this.overlays = [];
+    let files = await readDirectoryEntry(entry);
+    let volume = await NVImage.loadFromDICOMFiles(files, entry.name);
+    if (volume) this.setVolume(volume);
   } else {
     const files = dt.files;
     if (files.length > 0) {
       this.volumes = [];
       this.overlays = [];
-      let volume = await NVImage.loadFromFile(files[0]);
+      //a header dropped together with its image data, e.g. brain.hdr and brain.img
+      let file = files[0];
+      let pairedImgFile = null;
+      let isPaired = false;
+      if (files.length > 1) {
+        for (let i = 0; i < files.length; i++) {
+          let ext = NVImage.prototype.getFileExt(files[i].name);
+          if (!["HDR", "HEAD", "NHDR", "MHD"].includes(ext)) continue;
+          file = files[i];
+          isPaired = true;
+        }
+        if (isPaired)
+          pairedImgFile = await NVImage.findPairedImgFile(file, files);
+      }
+      //the slices of a DICOM series, otherwise only the first image is loaded
+      if (!isPaired && (await NVImage.hasDICOMFiles(files))) {
+        let volume = await NVImage.loadFromDICOMFiles(files);
+        if (volume) this.setVolume(volume);
+        return;
+      }
+      let volume = await NVImage.loadFromFile(
+        file,
+        "",
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        pairedImgFile
+      );
       this.setVolume(volume);
     }
   }
@@ -852,6 +1725,88 @@ Niivue.prototype.getVolumeIndexByID = function (id) {
   return -1; // -1 signals that no valid index was found for a volume with the given id
 };
 
+/**
+ * show a different volume (e.g. time point) of a 4D image
+ * @param {string} id the id of the volume to update
+ * @param {number} frame4D the index of the volume to show, from 0 to the number of volumes minus one
+ * @example
+ * niivue = new Niivue()
+ * niivue.setFrame4D(niivue.volumes[0].id, 2)
+ */
+Niivue.prototype.setFrame4D = function (id, frame4D) {
+  let idx = this.getVolumeIndexByID(id);
+  if (idx < 0) return;
+  let volume = this.volumes[idx];
+  frame4D = Math.min(Math.max(Math.round(frame4D), 0), volume.nFrame4D - 1);
+  if (frame4D === volume.frame4D) return;
+  volume.frame4D = frame4D;
+  this.updateGLVolume();
+  this.createOnLocationChange();
+  this.scene.frameChange$.next({ id: id, frame4D: frame4D });
+}; // setFrame4D()
+
+/**
+ * animate the volumes (e.g. time points) of a 4D image
+ * @param {string} id the id of the volume to animate
+ * @param {object} [options={}] playback options
+ * @param {number} [options.fps=10] frames per second
+ * @param {boolean} [options.loop=true] whether to start again after the last frame
+ * @param {boolean} [options.bounce=false] whether to reverse direction at the ends of the range rather than jump back to its start
+ * @param {number[]} [options.range] the first and last frame to show, default is all frames
+ * @example
+ * niivue = new Niivue()
+ * niivue.play4D(niivue.volumes[0].id, { fps: 5, bounce: true, range: [2, 20] })
+ */
+Niivue.prototype.play4D = function (id, options = {}) {
+  this.pause4D();
+  let idx = this.getVolumeIndexByID(id);
+  if (idx < 0 || this.volumes[idx].nFrame4D < 2) return;
+  let { fps = 10, loop = true, bounce = false, range = null } = options;
+  let last = this.volumes[idx].nFrame4D - 1;
+  let first = 0;
+  if (range) {
+    first = Math.min(Math.max(Math.round(range[0]), 0), last);
+    last = Math.min(Math.max(Math.round(range[1]), first), last);
+  }
+  if (first === last) return;
+  let direction = 1;
+  let volume = this.volumes[idx];
+  //start from the current frame if it is in range
+  if (volume.frame4D < first || volume.frame4D > last)
+    this.setFrame4D(id, first);
+  this.play4DTimer = setInterval(() => {
+    if (this.getVolumeIndexByID(id) < 0) {
+      this.pause4D(); //volume was removed
+      return;
+    }
+    let frame = volume.frame4D + direction;
+    if (frame > last || frame < first) {
+      if (bounce && (loop || direction > 0)) {
+        direction = -direction;
+        frame = volume.frame4D + direction;
+      } else if (loop) {
+        frame = first;
+      } else {
+        this.pause4D();
+        return;
+      }
+    }
+    this.setFrame4D(id, frame);
+  }, 1000 / Math.max(fps, 0.001));
+}; // play4D()
+
+/**
+ * stop the animation of a 4D image started with play4D
+ * @example
+ * niivue = new Niivue()
+ * niivue.pause4D()
+ */
+Niivue.prototype.pause4D = function () {
+  if (this.play4DTimer === null) return;
+  clearInterval(this.play4DTimer);
+  this.play4DTimer = null;
+}; // pause4D()
+
 /**
  * get the index of an overlay by its unique id. unique ids are assigned to the NVImage.id property when a new NVImage is created.
  * @param {string} id the id string to search for
@@ -1024,11 +1979,97 @@ Niivue.prototype.clipPlaneUpdate = function (azimuthElevation) {
   //  elevation: camera height in degrees, range -90..90
   //  depth: distance of clip plane from center of volume, range 0..~1.73 (e.g. 2.0 for no clip plane)
   if (this.sliceType != this.sliceTypeRender) return;
-  let v = this.sph2cartDeg(azimuthElevation[0], azimuthElevation[1]);
-  this.scene.clipPlane = [v[0], v[1], v[2], azimuthElevation[2]];
-  this.drawScene();
+  let depth = azimuthElevation.length > 2 ? azimuthElevation[2] : 0;
+  this.setClipPlane([depth, azimuthElevation[0], azimuthElevation[1]]);
 }; // clipPlaneUpdate()
 
+/**
+ * cut away part of the 3D render with a plane
+ * @param {number[]} depthAzimuthElevation [depth, azimuth, elevation]. depth: distance of the plane from the center of the volume,
+ * as a fraction of the volume size (about -0.87..0.87, 2 for no clipping). azimuth and elevation: direction the plane faces, in degrees
+ * @example
+ * niivue = new Niivue()
+ * niivue.setClipPlane([0.1, 270, 0]) // cut away the left side of the volume
+ */
+Niivue.prototype.setClipPlane = function (depthAzimuthElevation) {
+  this.setClipPlanes([depthAzimuthElevation]);
+}; // setClipPlane()
+
+/**
+ * use several clip planes at once. The 3D render is cut away where it is beyond all of the planes, e.g. two planes remove a wedge
+ * @param {number[][]} depthAzimuthElevations up to four planes, each [depth, azimuth, elevation] as for setClipPlane. An empty array removes all clip planes
+ * @example
+ * niivue = new Niivue()
+ * niivue.setClipPlanes([[0, 90, 0], [0, 180, 0]]) // remove one quarter
+ */
+Niivue.prototype.setClipPlanes = function (depthAzimuthElevations) {
+  if (depthAzimuthElevations.length > 4)
+    throw new Error("at most 4 clip planes can be used at once");
+  this.scene.clipPlaneDepthAziElevs = depthAzimuthElevations.map((v) =>
+    v.slice()
+  );
+  this.scene.clipPlanes = depthAzimuthElevations.map(
+    ([depth, azimuth, elevation]) => [
+      ...this.sph2cartDeg(azimuth, elevation),
+      depth,
+    ]
+  );
+  //a single plane is clipped along each ray, several planes are tested at every sample
+  if (this.scene.clipPlanes.length === 1)
+    this.scene.clipPlane = this.scene.clipPlanes[0].slice();
+  else this.scene.clipPlane = [0, 0, 0, 0];
+  this.drawScene();
+}; // setClipPlanes()
+
+// not included in public docs
+Niivue.prototype.updateClipPlaneUniforms = function (shader) {
+  this.gl.uniform4fv(shader.uniforms["clipPlane"], this.scene.clipPlane);
+  let cutAway = this.scene.clipPlanes.length > 1 ? this.scene.clipPlanes : [];
+  let planes = new Float32Array(16); //one plane per column
+  cutAway.forEach((plane, i) => planes.set(plane, i * 4));
+  this.gl.uniformMatrix4fv(shader.uniforms["clipPlanes"], false, planes);
+  this.gl.uniform1i(shader.uniforms["numClipPlanes"], cutAway.length);
+}; // updateClipPlaneUniforms()
+
+// not included in public docs
+// start dragging a clip plane if its cut face is under the mouse, returns true if it is
+Niivue.prototype.clipPlaneDown = function (x, y) {
+  this.clipPlaneDragStart = null;
+  if (this.sliceType !== this.sliceTypeRender) return false;
+  let planes = this.scene.clipPlanes;
+  if (planes.length < 1) return false;
+  //the picking pass finds the location of the visible voxel under the mouse
+  this.mousePos = [x, y];
+  this.drawScene();
+  if (this.selectedObjectId !== this.VOLUME_ID) return false;
+  let frac = this.scene.crosshairPos;
+  //picking is coarse: the first hit is found in steps of about two voxels, and read back with 8 bits
+  const tolerance = 0.03;
+  for (let i = 0; i < planes.length; i++) {
+    let [nx, ny, nz, depth] = planes[i];
+    let dist =
+      nx * (frac[0] - 0.5) + ny * (frac[1] - 0.5) + nz * (frac[2] - 0.5);
+    if (Math.abs(dist + depth) > tolerance) continue;
+    this.clipPlaneDragStart = { index: i, y, depth };
+    return true;
+  }
+  return false;
+}; // clipPlaneDown()
+
+// not included in public docs
+// dragging down the full canvas height moves the plane through the whole volume
+Niivue.prototype.clipPlaneMove = function (x, y) {
+  let { index, depth } = this.clipPlaneDragStart;
+  let maxDepth = Math.sqrt(3) / 2; //center to corner of the volume
+  depth +=
+    ((y - this.clipPlaneDragStart.y) / this.gl.canvas.clientHeight) *
+    2 *
+    maxDepth;
+  let planes = this.scene.clipPlaneDepthAziElevs.map((v) => v.slice());
+  planes[index][0] = Math.min(Math.max(depth, -maxDepth), maxDepth);
+  this.setClipPlanes(planes);
+}; // clipPlaneMove()
+
 /**
  * set the crosshair color
  * @param {array} color an RGBA array. values range from 0 to 1
@@ -1052,6 +2093,97 @@ Niivue.prototype.setSelectionBoxColor = function (color) {
   this.opts.selectionBoxColor = color;
 }; // setSelectionBoxColor()
 
+/**
+ * set the zoom and pan of a 2D view
+ * @param {number} axCorSag the view: axial (0), coronal (1) or sagittal (2)
+ * @param {number} panX horizontal shift of the slice, as a fraction of the view width
+ * @param {number} panY vertical shift of the slice, as a fraction of the view height
+ * @param {number} zoom magnification, 1 shows the whole slice. The slice always fills the view, so the pan is limited by the zoom
+ * @example
+ * niivue = new Niivue()
+ * niivue.setPan2D(niivue.sliceTypeAxial, 0.25, 0, 2) // magnify the left half of the axial view
+ */
+Niivue.prototype.setPan2D = function (axCorSag, panX, panY, zoom) {
+  zoom = Math.min(Math.max(zoom, 1), 16);
+  let maxPan = (zoom - 1) / 2;
+  let clamp = (pan) => Math.min(Math.max(pan, -maxPan), maxPan);
+  this.scene.pan2D[axCorSag] = [clamp(panX), clamp(panY), zoom];
+  this.drawScene();
+}; // setPan2D()
+
+/**
+ * show the whole of every 2D slice, undoing any zoom and pan
+ * @example
+ * niivue = new Niivue()
+ * niivue.resetView()
+ */
+Niivue.prototype.resetView = function () {
+  for (let i = 0; i < this.scene.pan2D.length; i++)
+    this.scene.pan2D[i] = [0, 0, 1];
+  this.drawScene();
+}; // resetView()
+
+// not included in public docs
+// magnify the 2D view at canvas position x,y keeping the point under the cursor in place
+Niivue.prototype.zoom2D = function (scale, x, y) {
+  let axCorSag = this.canvasPos2axCorSag([x, y]);
+  if (axCorSag < 0) return;
+  let tile = this.screenSlices
+    .slice(0, this.numScreenSlices)
+    .find((v) => v.axCorSag === axCorSag).tileLeftTopWidthHeight;
+  let [panX, panY, zoom] = this.scene.pan2D[axCorSag];
+  let newZoom = Math.min(Math.max(zoom * scale, 1), 16);
+  //solve for the pan that keeps the fraction of the slice under the cursor fixed
+  let pan = (pos, start, size, pan) => {
+    let left = start + (size * (1 - zoom)) / 2 + size * pan;
+    let frac = (pos - left) / (size * zoom);
+    let newLeft = pos - frac * size * newZoom;
+    return (newLeft - start - (size * (1 - newZoom)) / 2) / size;
+  };
+  this.setPan2D(
+    axCorSag,
+    pan(x, tile[0], tile[2], panX),
+    pan(y, tile[1], tile[3], panY),
+    newZoom
+  );
+}; // zoom2D()
+
+// not included in public docs
+// the location of a slice on the canvas, after zoom and pan, given the location of its view
+Niivue.prototype.zoomSlice = function (leftTopWidthHeight, axCorSag) {
+  let [panX, panY, zoom] = this.scene.pan2D[axCorSag];
+  let [left, top, width, height] = leftTopWidthHeight;
+  return [
+    left + (width * (1 - zoom)) / 2 + width * panX,
+    top + (height * (1 - zoom)) / 2 + height * panY,
+    width * zoom,
+    height * zoom,
+  ];
+}; // zoomSlice()
+
+/**
+ * move the crosshair by whole voxels of the background image, e.g. to step through slices
+ * @param {number} x voxels to the right (negative: left)
+ * @param {number} y voxels anterior (negative: posterior)
+ * @param {number} z voxels superior (negative: inferior)
+ * @example
+ * niivue = new Niivue()
+ * niivue.moveCrosshairInVox(0, 0, 1) // the next axial slice
+ */
+Niivue.prototype.moveCrosshairInVox = function (x, y, z) {
+  if (this.volumes.length < 1) return;
+  let dims = this.volumes[0].dimsRAS;
+  let delta = [x, y, z];
+  for (let i = 0; i < 3; i++) {
+    //stay on voxel centers within the volume
+    let vox = Math.round(this.scene.crosshairPos[i] * dims[i + 1] - 0.5);
+    vox = Math.min(Math.max(vox + delta[i], 0), dims[i + 1] - 1);
+    this.scene.crosshairPos[i] = (vox + 0.5) / dims[i + 1];
+  }
+  this.drawScene();
+  this.createOnLocationChange();
+}; // moveCrosshairInVox()
+
 // not included in public docs
 Niivue.prototype.sliceScroll2D = function (posChange, x, y, isDelta = true) {
   this.mouseClick(x, y, posChange, isDelta);
@@ -1070,6 +2202,109 @@ Niivue.prototype.setSliceType = function (st) {
   return this;
 }; // setSliceType()
 
+// not included in public docs
+// render modes, in the order of the renderMode uniform of the render shader
+const renderModes = ["composite", "mip", "minip", "average"];
+
+/**
+ * choose how the 3D render shows the background volume
+ * @param {string} mode "composite" to blend the volume front to back, or a projection of the intensities along each ray:
+ * "mip" (maximum, e.g. angiography), "minip" (minimum, e.g. airways and lungs on CT) or "average"
+ * @example
+ * niivue = new Niivue()
+ * niivue.setRenderMode("mip")
+ */
+Niivue.prototype.setRenderMode = function (mode) {
+  if (!renderModes.includes(mode))
+    throw new Error(
+      'unknown render mode "' +
+        mode +
+        '", expected one of ' +
+        renderModes.join(", ")
+    );
+  this.opts.renderMode = mode;
+  if (this.renderShader) {
+    this.renderShader.use(this.gl);
+    this.gl.uniform1i(
+      this.renderShader.uniforms["renderMode"],
+      renderModes.indexOf(mode)
+    );
+  }
+  this.drawScene();
+}; // setRenderMode()
+
+// not included in public docs
+// lighting models, in the order of the shading uniform of the render shader
+const shadingModes = ["none", "phong", "blinn"];
+
+// not included in public docs
+// closest approach of the perspective camera to the center of the volume, relative to the furthest corner of the volume
+const minCameraDistance = 1.05;
+
+/**
+ * light the 3D render using the intensity gradients of the background image as surface normals
+ * @param {string} mode "none" for no lighting, "phong" or "blinn" (Blinn-Phong) shading
+ * @example
+ * niivue = new Niivue()
+ * niivue.setShading("phong")
+ */
+Niivue.prototype.setShading = function (mode) {
+  if (!shadingModes.includes(mode))
+    throw new Error(
+      'unknown shading "' +
+        mode +
+        '", expected one of ' +
+        shadingModes.join(", ")
+    );
+  this.opts.shading = mode;
+  this.updateLighting();
+  this.drawScene();
+}; // setShading()
+
+/**
+ * adjust the lighting of the 3D render, see setShading. Properties that are not given keep their values
+ * @param {Object} lighting
+ * @param {number} [lighting.ambient] fraction of the color without any light
+ * @param {number} [lighting.diffuse] fraction of the color lit by the light
+ * @param {number} [lighting.specular] brightness of highlights
+ * @param {number} [lighting.shininess] larger values make smaller highlights
+ * @param {number} [lighting.lightAzimuth] light direction in degrees, relative to the viewer
+ * @param {number} [lighting.lightElevation] light direction in degrees, relative to the viewer
+ * @example
+ * niivue = new Niivue()
+ * niivue.setLighting({ specular: 0.5, lightElevation: 30 })
+ */
+Niivue.prototype.setLighting = function (lighting = {}) {
+  for (let key of [
+    "ambient",
+    "diffuse",
+    "specular",
+    "shininess",
+    "lightAzimuth",
+    "lightElevation",
+  ]) {
+    if (lighting[key] !== undefined) this.opts[key] = lighting[key];
+  }
+  this.updateLighting();
+  this.drawScene();
+}; // setLighting()
+
+// not included in public docs
+Niivue.prototype.updateLighting = function () {
+  if (!this.renderShader) return;
+  this.renderShader.use(this.gl);
+  this.gl.uniform1i(
+    this.renderShader.uniforms["shading"],
+    shadingModes.indexOf(this.opts.shading)
+  );
+  this.gl.uniform4fv(this.renderShader.uniforms["lighting"], [
+    this.opts.ambient,
+    this.opts.diffuse,
+    this.opts.specular,
+    this.opts.shininess,
+  ]);
+}; // updateLighting()
+
 /**
  * set the opacity of a volume given by volume index
  * @param {number} volIdx the volume index of the volume to change
@@ -1091,69 +2326,535 @@ Niivue.prototype.setOpacity = function (volIdx, newOpacity) {
   //
 }; // setOpacity()
 
+/**
+ * hide all overlays, or show them again with the opacities they had
+ * @example
+ * niivue = new Niivue()
+ * niivue.toggleOverlays()
+ */
+Niivue.prototype.toggleOverlays = function () {
+  if (this.volumes.length < 2) return;
+  if (this.overlayOpacities) {
+    for (let i = 1; i < this.volumes.length; i++) {
+      let opacity = this.overlayOpacities.get(this.volumes[i].id);
+      if (opacity !== undefined) this.volumes[i].opacity = opacity;
+    }
+    this.overlayOpacities = null;
+  } else {
+    this.overlayOpacities = new Map();
+    for (let i = 1; i < this.volumes.length; i++) {
+      this.overlayOpacities.set(this.volumes[i].id, this.volumes[i].opacity);
+      this.volumes[i].opacity = 0;
+    }
+  }
+  //all overlays are combined as a single texture
+  this.updateGLVolume();
+}; // toggleOverlays()
+
+/**
+ * save the current scene as a PNG image, the browser will download the file
+ * @param {string} [filename='niivue.png'] the file name to save as
+ * @returns {string} the image as a data URL
+ * @example
+ * niivue = new Niivue()
+ * niivue.saveScreenshot('screenshot.png')
+ */
+Niivue.prototype.saveScreenshot = function (filename = "niivue.png") {
+  //the drawing buffer is only valid until the browser composites it, so draw and read it in one go
+  this.drawScene();
+  let url = this.canvas.toDataURL("image/png");
+  let link = document.createElement("a");
+  link.setAttribute("href", url);
+  link.setAttribute("download", filename);
+  link.style.visibility = "hidden";
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  return url;
+}; // saveScreenshot()
+
+/**
+ * set the opacity of a volume in the 3D render, independent of its opacity on 2D slices
+ * @param {number} volIdx the volume index of the volume to change
+ * @param {number} newOpacity the opacity value from 0 to 1, or undefined to use the opacity of the 2D slices
+ * @example
+ * niivue = new Niivue()
+ * niivue.setOpacity3D(1, 0.8) // show the first overlay strongly in 3D
+ */
+Niivue.prototype.setOpacity3D = function (volIdx, newOpacity) {
+  let volume = this.volumes[volIdx];
+  volume.opacity3D = newOpacity;
+  //before attachTo, the opacity is applied when the volumes are first drawn
+  if (!this.renderShader) return;
+  if (volIdx === 0) {
+    //the render shader applies the background opacity
+    this.renderShader.use(this.gl);
+    this.gl.uniform1f(
+      this.renderShader.uniforms["backOpacity"],
+      newOpacity === undefined ? volume.opacity : newOpacity
+    );
+    this.drawScene();
+    return;
+  }
+  //the overlays are blended into the 3D texture when they are refreshed
+  this.updateGLVolume();
+}; // setOpacity3D()
+
+/**
+ * show overlays in the 3D render wherever they are, as if the background were made of glass,
+ * rather than only where they are near the surface of the background
+ * @param {boolean} isGlassBrain true to show overlays through the background
+ * @example
+ * niivue = new Niivue()
+ * niivue.setGlassBrain(true)
+ */
+Niivue.prototype.setGlassBrain = function (isGlassBrain) {
+  this.opts.isGlassBrain = isGlassBrain;
+  if (this.renderShader) {
+    this.renderShader.use(this.gl);
+    this.gl.uniform1i(this.renderShader.uniforms["isGlassBrain"], isGlassBrain);
+  }
+  this.drawScene();
+}; // setGlassBrain()
+
+/**
+ * switch the 3D render between a perspective camera, where near parts of the volume look larger than far parts,
+ * and an orthographic camera, where parallel edges stay parallel
+ * @param {boolean} isPerspective true for a perspective camera
+ * @example
+ * niivue = new Niivue()
+ * niivue.setPerspective(true)
+ */
+Niivue.prototype.setPerspective = function (isPerspective) {
+  this.opts.isPerspective = isPerspective;
+  this.drawScene();
+}; // setPerspective()
+
+/**
+ * set the field of view of the perspective camera. Wider angles exaggerate the perspective
+ * @param {number} fieldOfView angle in degrees across the shorter side of the canvas, between 0 and 180
+ * @example
+ * niivue = new Niivue({isPerspective: true})
+ * niivue.setFieldOfView(60)
+ */
+Niivue.prototype.setFieldOfView = function (fieldOfView) {
+  if (!(fieldOfView > 0 && fieldOfView < 180))
+    throw new Error("field of view must be between 0 and 180 degrees");
+  this.opts.fieldOfView = fieldOfView;
+  this.drawScene();
+}; // setFieldOfView()
+
 /**
  * set the scale of the 3D rendering. Larger numbers effectively zoom.
  * @param {number} scale the new scale value
  * @example
  * niivue = new Niivue()
- * niivue.setScale(2) // zoom some
+ * niivue.setScale(2) // zoom some
+ */
+Niivue.prototype.setScale = function (scale) {
+  this.volScaleMultiplier = scale;
+  this.drawScene();
+}; // setScale()
+
+/**
+ * set the color of the 3D clip plane
+ * @param {array} color the new color. expects an array of RGBA values. values can range from 0 to 1
+ * @example
+ * niivue = new Niivue()
+ * niivue.setClipPlaneColor([1, 1, 1, 0.5]) // white, transparent
+ */
+Niivue.prototype.setClipPlaneColor = function (color) {
+  this.opts.clipPlaneColor = color;
+  this.drawScene();
+}; // setClipPlaneColor()
+
+// not included in public docs.
+// note: marked for removal at some point in the future (this just makes a test sphere)
+Niivue.prototype.overlayRGBA = function (volume) {
+  let hdr = volume.hdr;
+  let vox = hdr.dims[1] * hdr.dims[2] * hdr.dims[3];
+  let imgRGBA = new Uint8ClampedArray(vox * 4);
+  let radius = 0.2 * Math.min(Math.min(hdr.dims[1], hdr.dims[2]), hdr.dims[3]);
+  let halfX = 0.5 * hdr.dims[1];
+  let halfY = 0.5 * hdr.dims[2];
+  let halfZ = 0.5 * hdr.dims[3];
+  let j = 0;
+  for (let z = 0; z < hdr.dims[3]; z++) {
+    for (let y = 0; y < hdr.dims[2]; y++) {
+      for (let x = 0; x < hdr.dims[1]; x++) {
+        let dx = Math.abs(x - halfX);
+        let dy = Math.abs(y - halfY);
+        let dz = Math.abs(z - halfZ);
+        let dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        let v = 0;
+        if (dist < radius) v = 255;
+        imgRGBA[j++] = 0; //Red
+        imgRGBA[j++] = v; //Green
+        imgRGBA[j++] = 0; //Blue
+        imgRGBA[j++] = v * 0.5; //Alpha
+      }
+    }
+  }
+  return imgRGBA;
+}; // overlayRGBA()
+
+// not included in public docs
+Niivue.prototype.vox2mm = function (XYZ, mtx) {
+  let sform = mat.mat4.clone(mtx);
+  mat.mat4.transpose(sform, sform);
+  let pos = mat.vec4.fromValues(XYZ[0], XYZ[1], XYZ[2], 1);
+  mat.vec4.transformMat4(pos, pos, sform);
+  let pos3 = mat.vec3.fromValues(pos[0], pos[1], pos[2]);
+  return pos3;
+}; // vox2mm()
+
+/**
+ * create an empty drawing with the voxel grid of the background image, shown as the top overlay. Any existing drawing is discarded
+ * @returns {NVImage} the drawing, an 8-bit label image
+ * @example
+ * niivue = new Niivue()
+ * niivue.createEmptyDrawing()
+ * niivue.setDrawingEnabled(true)
+ */
+Niivue.prototype.createEmptyDrawing = function () {
+  if (this.volumes.length < 1)
+    throw new Error("a background image must be loaded before drawing");
+  if (this.drawingVolume) this.closeDrawing();
+  this.drawingVolume = NVImage.labelsLike(this.back);
+  this.addVolume(this.drawingVolume);
+  return this.drawingVolume;
+}; // createEmptyDrawing()
+
+/**
+ * remove the drawing from the scene
+ * @example
+ * niivue = new Niivue()
+ * niivue.closeDrawing()
+ */
+Niivue.prototype.closeDrawing = function () {
+  if (!this.drawingVolume) return;
+  if (this.getVolumeIndexByID(this.drawingVolume.id) >= 0)
+    this.removeVolume(this.drawingVolume);
+  //edits of a closed drawing can no longer be undone
+  this.commitEdit();
+  let isKept = (edit) => edit.volume !== this.drawingVolume;
+  this.undoStack = this.undoStack.filter(isKept);
+  this.redoStack = this.redoStack.filter(isKept);
+  this.drawingVolume = null;
+}; // closeDrawing()
+
+/**
+ * let the left mouse button paint into the drawing (an empty drawing is created if needed)
+ * @param {boolean} isEnabled true to paint, false to only move the crosshair
+ * @example
+ * niivue = new Niivue()
+ * niivue.setDrawingEnabled(true)
+ */
+Niivue.prototype.setDrawingEnabled = function (isEnabled) {
+  this.opts.drawingEnabled = isEnabled;
+  if (isEnabled && !this.drawingVolume) this.createEmptyDrawing();
+  this.drawScene();
+}; // setDrawingEnabled()
+
+/**
+ * set the label and width of the pen used for drawing
+ * @param {number} penValue label to paint, from 1 to 255, or 0 to erase
+ * @param {number} [penSize] width of the pen in voxels, unchanged if not given
+ * @example
+ * niivue = new Niivue()
+ * niivue.setPenValue(2, 3) // paint label 2 with a 3x3 voxel pen
+ * niivue.setPenValue(0) // erase
+ */
+Niivue.prototype.setPenValue = function (
+  penValue,
+  penSize = this.opts.penSize
+) {
+  this.opts.penValue = Math.min(Math.max(Math.round(penValue), 0), 255);
+  this.opts.penSize = Math.max(Math.round(penSize), 1);
+}; // setPenValue()
+
+/**
+ * save the drawing as a NIfTI label image, the browser will download the file
+ * @param {string} [fnm='drawing.nii.gz'] the file name to save as
+ * @returns {Uint8Array} the bytes of the saved file
+ * @example
+ * niivue = new Niivue()
+ * niivue.saveDrawing('mask.nii.gz')
+ */
+Niivue.prototype.saveDrawing = function (fnm = "drawing.nii.gz") {
+  if (!this.drawingVolume) throw new Error("there is no drawing to save");
+  return this.drawingVolume.saveToDisk(fnm);
+}; // saveDrawing()
+
+// not included in public docs
+// paint the pen at a location (in normalized texture space) of a 2D slice,
+// joined to the previous location of the pen so fast mouse movements leave no gaps
+Niivue.prototype.drawPenLine = function (frac, axCorSag) {
+  let drawing = this.drawingVolume;
+  if (!drawing || this.getVolumeIndexByID(drawing.id) < 0) return;
+  //pen locations are in the voxel grid of the background as displayed (RAS)
+  let dims = this.back.dimsRAS;
+  let pt = [0, 1, 2].map((i) => Math.round(frac[i] * dims[i + 1] - 0.5));
+  let start = this.drawPenLocation;
+  if (this.drawPenAxCorSag !== axCorSag || !isFinite(start[0])) start = pt;
+  this.drawPenLocation = pt;
+  this.drawPenAxCorSag = axCorSag;
+  //axes of the slice plane: axial XY, coronal XZ, sagittal YZ
+  let axes = [
+    [0, 1],
+    [0, 2],
+    [1, 2],
+  ][axCorSag];
+  let lo = -Math.floor((this.opts.penSize - 1) / 2);
+  let hi = lo + this.opts.penSize - 1;
+  let nx = drawing.hdr.dims[1];
+  let ny = drawing.hdr.dims[2];
+  let nz = drawing.hdr.dims[3];
+  let nStep = Math.max(...pt.map((v, i) => Math.abs(v - start[i])));
+  for (let step = 0; step <= nStep; step++) {
+    let f = nStep > 0 ? step / nStep : 1;
+    let center = pt.map((v, i) => Math.round(start[i] + f * (v - start[i])));
+    for (let a = lo; a <= hi; a++) {
+      for (let b = lo; b <= hi; b++) {
+        let ras = center.slice();
+        ras[axes[0]] += a;
+        ras[axes[1]] += b;
+        let penFrac = ras.map((v, i) => (v + 0.5) / dims[i + 1]);
+        if (penFrac.some((v) => v < 0 || v > 1)) continue;
+        let vox = drawing.mm2vox(this.frac2mm(penFrac));
+        if (vox[0] < 0 || vox[1] < 0 || vox[2] < 0) continue;
+        if (vox[0] >= nx || vox[1] >= ny || vox[2] >= nz) continue;
+        let idx = vox[0] + vox[1] * nx + vox[2] * nx * ny;
+        this.setVoxelValue(drawing, idx, this.opts.penValue);
+      }
+    }
+  }
+}; // drawPenLine()
+
+/**
+ * grow a region in the drawing from the voxel at the crosshair, over connected voxels with an intensity similar to the seed
+ * @param {object} [options] options for the region, the defaults are set by the floodFill options of the Niivue instance
+ * @param {number} [options.tolerance] voxels join the region if their intensity is within this of the seed voxel
+ * @param {number} [options.connectivity] 6, 18 or 26 neighbors
+ * @param {boolean} [options.is2D] if true, the region is restricted to the 2D slice given by options.axCorSag
+ * @param {number} [options.axCorSag] the slice orientation for a 2D region: axial (0), coronal (1) or sagittal (2)
+ * @param {string} [options.volumeId] id of the image whose intensities are compared, the background image by default
+ * @returns {number} the number of voxels in the region, which are set to the pen value
+ * @example
+ * niivue = new Niivue()
+ * niivue.floodFill({tolerance: 20, connectivity: 26})
+ */
+Niivue.prototype.floodFill = function (options = {}) {
+  let {
+    tolerance = this.opts.floodFillTolerance,
+    connectivity = this.opts.floodFillConnectivity,
+    is2D = this.opts.floodFill2D,
+    axCorSag = this.sliceType <= this.sliceTypeSagittal
+      ? this.sliceType
+      : this.sliceTypeAxial,
+    volumeId = this.back.id,
+  } = options;
+  if (![6, 18, 26].includes(connectivity))
+    throw new Error("connectivity must be 6, 18 or 26");
+  let volume = this.volumes[this.getVolumeIndexByID(volumeId)];
+  if (!volume) throw new Error("no volume with id " + volumeId);
+  if (!this.drawingVolume) this.createEmptyDrawing();
+  let drawing = this.drawingVolume;
+  //the region is grown in the voxel grid of the background image, shared by the drawing
+  let back = this.volumes[0];
+  let [nx, ny, nz] = back.hdr.dims.slice(1, 4);
+  let nxy = nx * ny;
+  let mm = this.frac2mm(this.scene.crosshairPos);
+  let seed = back.mm2vox(mm);
+  if (seed.some((v, i) => v < 0 || v >= back.hdr.dims[i + 1])) return 0;
+  //intensity of a background voxel, resampled if the volume has another voxel grid
+  let value = (x, y, z) => volume.getValue(x, y, z, volume.frame4D);
+  if (
+    volume !== back &&
+    (!this.arrayEquals(volume.hdr.dims.slice(1, 4), [nx, ny, nz]) ||
+      !this.arrayEquals(volume.hdr.affine.flat(), back.hdr.affine.flat()))
+  ) {
+    //the affines are row-major, so this is the transpose of inverse(volume affine) * background affine
+    let backToVolume = mat.mat4.fromValues(...volume.hdr.affine.flat());
+    mat.mat4.invert(backToVolume, backToVolume);
+    mat.mat4.multiply(
+      backToVolume,
+      mat.mat4.fromValues(...back.hdr.affine.flat()),
+      backToVolume
+    );
+    //rows of the transform, so voxels are resampled without allocations
+    let [r0, r1, r2] = [0, 1, 2].map((i) =>
+      backToVolume.slice(i * 4, i * 4 + 4)
+    );
+    let [vx, vy, vz] = volume.hdr.dims.slice(1, 4);
+    value = (x, y, z) => {
+      let i = Math.round(r0[0] * x + r0[1] * y + r0[2] * z + r0[3]);
+      let j = Math.round(r1[0] * x + r1[1] * y + r1[2] * z + r1[3]);
+      let k = Math.round(r2[0] * x + r2[1] * y + r2[2] * z + r2[3]);
+      if (i < 0 || j < 0 || k < 0 || i >= vx || j >= vy || k >= vz) return NaN;
+      return volume.getValue(i, j, k, volume.frame4D);
+    };
+  }
+  //neighbors: 6 share a face (distance 1), 18 also an edge (2), 26 also a corner (3)
+  let maxDistance = { 6: 1, 18: 2, 26: 3 }[connectivity];
+  //a 2D region keeps the voxel axis closest to the slice normal constant
+  let fixedAxis = -1;
+  if (is2D) {
+    let row = back.hdr.affine[2 - axCorSag];
+    let col = [0, 1, 2].map((j) => Math.abs(row[j]));
+    fixedAxis = col.indexOf(Math.max(...col));
+  }
+  let offsets = [];
+  for (let z = -1; z <= 1; z++)
+    for (let y = -1; y <= 1; y++)
+      for (let x = -1; x <= 1; x++) {
+        let d = Math.abs(x) + Math.abs(y) + Math.abs(z);
+        if (d < 1 || d > maxDistance) continue;
+        if (fixedAxis >= 0 && [x, y, z][fixedAxis] !== 0) continue;
+        offsets.push([x, y, z]);
+      }
+  let seedValue = value(...seed);
+  //one bit per voxel, set once the voxel has been compared with the seed
+  let visited = new Uint32Array(Math.ceil((nxy * nz) / 32));
+  let visit = (idx) => {
+    let isVisited = visited[idx >>> 5] & (1 << (idx & 31));
+    visited[idx >>> 5] |= 1 << (idx & 31);
+    return isVisited;
+  };
+  //voxel indices waiting to be filled, grown as needed
+  let stack = new Int32Array(4096);
+  let nStack = 0;
+  let seedIdx = seed[0] + seed[1] * nx + seed[2] * nxy;
+  visit(seedIdx);
+  stack[nStack++] = seedIdx;
+  let nFilled = 0;
+  while (nStack > 0) {
+    let idx = stack[--nStack];
+    this.setVoxelValue(drawing, idx, this.opts.penValue);
+    nFilled++;
+    let cz = Math.floor(idx / nxy);
+    let cy = Math.floor((idx - cz * nxy) / nx);
+    let cx = idx - cz * nxy - cy * nx;
+    for (let i = 0; i < offsets.length; i++) {
+      let x = cx + offsets[i][0];
+      let y = cy + offsets[i][1];
+      let z = cz + offsets[i][2];
+      if (x < 0 || y < 0 || z < 0 || x >= nx || y >= ny || z >= nz) continue;
+      let neighbor = x + y * nx + z * nxy;
+      if (visit(neighbor)) continue;
+      if (!(Math.abs(value(x, y, z) - seedValue) <= tolerance)) continue;
+      if (nStack >= stack.length) {
+        let larger = new Int32Array(stack.length * 2);
+        larger.set(stack);
+        stack = larger;
+      }
+      stack[nStack++] = neighbor;
+    }
+  }
+  this.commitEdit();
+  this.refreshDrawing();
+  return nFilled;
+}; // floodFill()
+
+// not included in public docs
+// change one voxel of an image as part of the voxel edit in progress,
+// the image is copied before its first change so that the whole edit can be undone
+Niivue.prototype.setVoxelValue = function (volume, index, value) {
+  if (this.currentEdit && this.currentEdit.volume !== volume) this.commitEdit();
+  if (!this.currentEdit)
+    this.currentEdit = {
+      volume,
+      before: volume.img.slice(),
+      lo: index,
+      hi: index,
+    };
+  let edit = this.currentEdit;
+  //only the range of changed voxels is compared when the edit is committed
+  if (index < edit.lo) edit.lo = index;
+  if (index > edit.hi) edit.hi = index;
+  volume.img[index] = value;
+}; // setVoxelValue()
+
+// not included in public docs
+// finish the voxel edit in progress: store the changed voxels on the undo stack
+Niivue.prototype.commitEdit = function () {
+  let edit = this.currentEdit;
+  this.currentEdit = null;
+  if (!edit) return;
+  let img = edit.volume.img;
+  let nChanged = 0;
+  for (let i = edit.lo; i <= edit.hi; i++)
+    if (img[i] !== edit.before[i]) nChanged++;
+  if (nChanged < 1) return;
+  let indices = new Uint32Array(nChanged);
+  let before = new img.constructor(nChanged);
+  let after = new img.constructor(nChanged);
+  let n = 0;
+  for (let i = edit.lo; i <= edit.hi; i++) {
+    if (img[i] === edit.before[i]) continue;
+    indices[n] = i;
+    before[n] = edit.before[i];
+    after[n] = img[i];
+    n++;
+  }
+  this.undoStack.push({ volume: edit.volume, indices, before, after });
+  this.redoStack = [];
+  //forget the oldest edits once the history is too large
+  let editBytes = (e) =>
+    e.indices.byteLength + e.before.byteLength + e.after.byteLength;
+  let nBytes = this.undoStack.reduce((sum, e) => sum + editBytes(e), 0);
+  while (this.undoStack.length > 0 && nBytes > this.opts.maxUndoBytes) {
+    nBytes -= editBytes(this.undoStack.shift());
+    log.debug("undo history exceeds maxUndoBytes, oldest edit forgotten");
+  }
+}; // commitEdit()
+
+// not included in public docs
+// apply the before or after voxel values of an edit
+Niivue.prototype.applyEdit = function (edit, values) {
+  for (let i = 0; i < edit.indices.length; i++)
+    edit.volume.img[edit.indices[i]] = values[i];
+  if (this.getVolumeIndexByID(edit.volume.id) >= 0) this.updateGLVolume();
+}; // applyEdit()
+
+/**
+ * revert the most recent voxel edit (e.g. a drawing stroke)
+ * @returns {boolean} true if there was an edit to undo
+ * @example
+ * niivue = new Niivue()
+ * niivue.undo()
  */
-Niivue.prototype.setScale = function (scale) {
-  this.volScaleMultiplier = scale;
-  this.drawScene();
-}; // setScale()
+Niivue.prototype.undo = function () {
+  this.commitEdit();
+  let edit = this.undoStack.pop();
+  if (!edit) return false;
+  this.applyEdit(edit, edit.before);
+  this.redoStack.push(edit);
+  return true;
+}; // undo()
 
 /**
- * set the color of the 3D clip plane
- * @param {array} color the new color. expects an array of RGBA values. values can range from 0 to 1
+ * reapply the most recently undone voxel edit
+ * @returns {boolean} true if there was an edit to redo
  * @example
  * niivue = new Niivue()
- * niivue.setClipPlaneColor([1, 1, 1, 0.5]) // white, transparent
+ * niivue.redo()
  */
-Niivue.prototype.setClipPlaneColor = function (color) {
-  this.opts.clipPlaneColor = color;
-  this.drawScene();
-}; // setClipPlaneColor()
-
-// not included in public docs.
-// note: marked for removal at some point in the future (this just makes a test sphere)
-Niivue.prototype.overlayRGBA = function (volume) {
-  let hdr = volume.hdr;
-  let vox = hdr.dims[1] * hdr.dims[2] * hdr.dims[3];
-  let imgRGBA = new Uint8ClampedArray(vox * 4);
-  let radius = 0.2 * Math.min(Math.min(hdr.dims[1], hdr.dims[2]), hdr.dims[3]);
-  let halfX = 0.5 * hdr.dims[1];
-  let halfY = 0.5 * hdr.dims[2];
-  let halfZ = 0.5 * hdr.dims[3];
-  let j = 0;
-  for (let z = 0; z < hdr.dims[3]; z++) {
-    for (let y = 0; y < hdr.dims[2]; y++) {
-      for (let x = 0; x < hdr.dims[1]; x++) {
-        let dx = Math.abs(x - halfX);
-        let dy = Math.abs(y - halfY);
-        let dz = Math.abs(z - halfZ);
-        let dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
-        let v = 0;
-        if (dist < radius) v = 255;
-        imgRGBA[j++] = 0; //Red
-        imgRGBA[j++] = v; //Green
-        imgRGBA[j++] = 0; //Blue
-        imgRGBA[j++] = v * 0.5; //Alpha
-      }
-    }
-  }
-  return imgRGBA;
-}; // overlayRGBA()
+Niivue.prototype.redo = function () {
+  this.commitEdit();
+  let edit = this.redoStack.pop();
+  if (!edit) return false;
+  this.applyEdit(edit, edit.after);
+  this.undoStack.push(edit);
+  return true;
+}; // redo()
 
 // not included in public docs
-Niivue.prototype.vox2mm = function (XYZ, mtx) {
-  let sform = mat.mat4.clone(mtx);
-  mat.mat4.transpose(sform, sform);
-  let pos = mat.vec4.fromValues(XYZ[0], XYZ[1], XYZ[2], 1);
-  mat.vec4.transformMat4(pos, pos, sform);
-  let pos3 = mat.vec3.fromValues(pos[0], pos[1], pos[2]);
-  return pos3;
-}; // vox2mm()
+// upload the edited drawing to the GPU
+Niivue.prototype.refreshDrawing = function () {
+  if (!this.drawingVolume) return;
+  this.updateGLVolume();
+}; // refreshDrawing()
 
 /**
  * clone a volume and return a new volume
@@ -1169,7 +2870,7 @@ Niivue.prototype.cloneVolume = function (index) {
 
 /**
  * load an array of volume objects
- * @param {array} volumeList the array of objects to load. each object must have a resolvable "url" property at a minimum
+ * @param {array} volumeList the array of objects to load. each object must have a resolvable "url" property at a minimum (formats with a separate header may also give a "urlImgData" property)
  * @returns {Niivue} returns the Niivue instance
  * @example
  * niivue = new Niivue()
@@ -1200,7 +2901,11 @@ Niivue.prototype.loadVolumes = async function (volumeList) {
       volumeList[i].name,
       volumeList[i].colorMap,
       volumeList[i].opacity,
-      this.opts.trustCalMinMax
+      this.opts.trustCalMinMax,
+      undefined,
+      undefined,
+      undefined,
+      volumeList[i].urlImgData
     );
     this.scene.loading$.next(false);
     this.volumes.push(volume);
@@ -1431,6 +3136,18 @@ Niivue.prototype.init = async function () {
   // register volume and overlay textures
   this.rgbaTex(this.volumeTexture, this.gl.TEXTURE0, [2, 2, 2, 2], true);
   this.rgbaTex(this.overlayTexture, this.gl.TEXTURE2, [2, 2, 2, 2], true);
+  this.overlayTexture3D = this.rgbaTex(
+    this.overlayTexture3D,
+    this.gl.TEXTURE7,
+    [2, 2, 2, 2],
+    true
+  );
+  this.intensityTexture3D = this.rgbaTex(
+    this.intensityTexture3D,
+    this.gl.TEXTURE8,
+    [2, 2, 2, 2],
+    true
+  );
 
   let vao = this.gl.createVertexArray();
   this.gl.bindVertexArray(vao);
@@ -1539,13 +3256,30 @@ Niivue.prototype.init = async function () {
 
   // line shader (crosshair)
   this.lineShader = new Shader(this.gl, vertLineShader, fragLineShader);
+  // line shader for lines in any direction (graphs)
+  this.thickLineShader = new Shader(
+    this.gl,
+    vertThickLineShader,
+    fragLineShader
+  );
 
   // render shader (3D)
   this.renderShader = new Shader(this.gl, vertRenderShader, fragRenderShader);
   this.renderShader.use(this.gl);
   this.gl.uniform1i(this.renderShader.uniforms["volume"], 0);
   this.gl.uniform1i(this.renderShader.uniforms["colormap"], 1);
-  this.gl.uniform1i(this.renderShader.uniforms["overlay"], 2);
+  this.gl.uniform1i(this.renderShader.uniforms["overlay"], 7);
+  this.gl.uniform1i(
+    this.renderShader.uniforms["isGlassBrain"],
+    this.opts.isGlassBrain
+  );
+  this.gl.uniform1i(
+    this.renderShader.uniforms["renderMode"],
+    renderModes.indexOf(this.opts.renderMode)
+  );
+  this.gl.uniform1i(this.renderShader.uniforms["gradient"], 4);
+  this.gl.uniform1i(this.renderShader.uniforms["intensity"], 8);
+  this.updateLighting();
 
   this.pickingShader = new Shader(
     this.gl,
@@ -1577,6 +3311,12 @@ Niivue.prototype.init = async function () {
     fragPassThroughShader
   );
 
+  this.gradientShader = new Shader(
+    this.gl,
+    vertPassThroughShader,
+    fragGradientShader
+  );
+
   this.orientShaderAtlasU = new Shader(
     this.gl,
     vertOrientShader,
@@ -1661,6 +3401,14 @@ Niivue.prototype.updateGLVolume = function () {
 Niivue.prototype.refreshLayers = function (overlayItem, layer, numLayers) {
   let hdr = overlayItem.hdr;
   let img = overlayItem.img;
+  if (overlayItem.frame4D > 0 && overlayItem.frame4D < overlayItem.nFrame4D) {
+    //only the current volume of a 4D image is uploaded
+    let nValues = overlayItem.nVox3D;
+    if (hdr.datatypeCode === 128) nValues *= 3; //RGB
+    if (hdr.datatypeCode === 2304) nValues *= 4; //RGBA
+    let start = overlayItem.frame4D * nValues;
+    img = img.subarray(start, start + nValues);
+  }
   let opacity = overlayItem.opacity;
   let outTexture = null;
 
@@ -1681,6 +3429,22 @@ Niivue.prototype.refreshLayers = function (overlayItem, layer, numLayers) {
       this.gl.TEXTURE0,
       overlayItem.dimsRAS
     ); //this.back.dims)
+    this.intensityTexture3D = this.rgbaTex(
+      this.intensityTexture3D,
+      this.gl.TEXTURE8,
+      overlayItem.dimsRAS
+    );
+    //the bytes of packed intensities must not be interpolated
+    this.gl.texParameteri(
+      this.gl.TEXTURE_3D,
+      this.gl.TEXTURE_MIN_FILTER,
+      this.gl.NEAREST
+    );
+    this.gl.texParameteri(
+      this.gl.TEXTURE_3D,
+      this.gl.TEXTURE_MAG_FILTER,
+      this.gl.NEAREST
+    );
     let { volScale, vox } = this.sliceScale(); // slice scale determined by this.back --> the base image layer
     this.volScale = volScale;
     this.vox = vox;
@@ -1771,6 +3535,11 @@ Niivue.prototype.refreshLayers = function (overlayItem, layer, numLayers) {
         this.back.dims
       );
       this.backTexture = outTexture;
+      this.overlayTexture3D = this.rgbaTex(
+        this.overlayTexture3D,
+        this.gl.TEXTURE7,
+        this.back.dims
+      );
     } else outTexture = this.backTexture;
   }
   let fb = this.gl.createFramebuffer();
@@ -1984,75 +3753,103 @@ Niivue.prototype.refreshLayers = function (overlayItem, layer, numLayers) {
     // this.calMinMax(overlayItem, imgRaw);
     overlayItem.calMinMax();
   }
-  //blend texture
-  let blendTexture = null;
-  if (layer > 1) {
-    //use pass-through shader to copy previous color to temporary 2D texture
-    blendTexture = this.rgbaTex(blendTexture, this.gl.TEXTURE5, this.back.dims);
-    this.gl.bindTexture(this.gl.TEXTURE_3D, blendTexture);
-    let passShader = this.passThroughShader;
-    passShader.use(this.gl);
-    this.gl.uniform1i(passShader.uniforms["in3D"], 2); //overlay volume
+  //overlays are drawn twice: with opacity for the 2D slices and with opacity3D for the 3D render
+  //the background is drawn twice as well: with its colormap and as raw intensity for 3D projections
+  let targets = [{ texture: outTexture, unit: 2, opacity }];
+  if (layer === 0)
+    targets.push({
+      texture: this.intensityTexture3D,
+      unit: 8,
+      opacity,
+      isIntensity: true,
+    });
+  if (layer > 0)
+    targets.push({
+      texture: this.overlayTexture3D,
+      unit: 7,
+      opacity:
+        overlayItem.opacity3D === undefined ? opacity : overlayItem.opacity3D,
+    });
+  for (let target of targets) {
+    //blend texture
+    let blendTexture = null;
+    if (layer > 1) {
+      //use pass-through shader to copy previous color to temporary 2D texture
+      blendTexture = this.rgbaTex(
+        blendTexture,
+        this.gl.TEXTURE5,
+        this.back.dims
+      );
+      this.gl.bindTexture(this.gl.TEXTURE_3D, blendTexture);
+      let passShader = this.passThroughShader;
+      passShader.use(this.gl);
+      this.gl.uniform1i(passShader.uniforms["in3D"], target.unit); //overlay volume
+      for (let i = 0; i < this.back.dims[3]; i++) {
+        //output slices
+        let coordZ = (1 / this.back.dims[3]) * (i + 0.5);
+        this.gl.uniform1f(passShader.uniforms["coordZ"], coordZ);
+        this.gl.framebufferTextureLayer(
+          this.gl.FRAMEBUFFER,
+          this.gl.COLOR_ATTACHMENT0,
+          blendTexture,
+          0,
+          i
+        );
+        //this.gl.clear(this.gl.DEPTH_BUFFER_BIT); //exhaustive, so not required
+        this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 5, 4);
+      }
+    } else
+      blendTexture = this.rgbaTex(blendTexture, this.gl.TEXTURE5, [2, 2, 2, 2]);
+    orientShader.use(this.gl);
+    this.gl.activeTexture(this.gl.TEXTURE1);
+    this.gl.bindTexture(this.gl.TEXTURE_2D, this.colormapTexture);
+
+    this.gl.uniform1f(orientShader.uniforms["cal_min"], overlayItem.cal_min);
+    this.gl.uniform1f(orientShader.uniforms["cal_max"], overlayItem.cal_max);
+    this.gl.bindTexture(this.gl.TEXTURE_3D, tempTex3D);
+    this.gl.uniform1i(orientShader.uniforms["intensityVol"], 6);
+    this.gl.uniform1i(orientShader.uniforms["blend3D"], 5);
+    this.gl.uniform1i(orientShader.uniforms["colormap"], 1);
+    this.gl.uniform1f(orientShader.uniforms["layer"], layer);
+    this.gl.uniform1f(orientShader.uniforms["numLayers"], numLayers);
+    this.gl.uniform1f(orientShader.uniforms["scl_inter"], hdr.scl_inter);
+    this.gl.uniform1f(orientShader.uniforms["scl_slope"], hdr.scl_slope);
+    this.gl.uniform1f(orientShader.uniforms["opacity"], target.opacity);
+    this.gl.uniform1i(
+      orientShader.uniforms["isIntensity"],
+      target.isIntensity === true
+    );
+    this.gl.uniformMatrix4fv(orientShader.uniforms["mtx"], false, mtx);
+    if (hdr.intent_code === 1002) {
+      let x = 1.0 / this.back.dims[1];
+      if (!this.opts.isAtlasOutline) x = -x;
+      this.gl.uniform3fv(orientShader.uniforms["xyzFrac"], [
+        x,
+        1.0 / this.back.dims[2],
+        1.0 / this.back.dims[3],
+      ]);
+    }
+    log.debug("back dims: ", this.back.dims);
     for (let i = 0; i < this.back.dims[3]; i++) {
       //output slices
       let coordZ = (1 / this.back.dims[3]) * (i + 0.5);
-      this.gl.uniform1f(passShader.uniforms["coordZ"], coordZ);
+      this.gl.uniform1f(orientShader.uniforms["coordZ"], coordZ);
       this.gl.framebufferTextureLayer(
         this.gl.FRAMEBUFFER,
         this.gl.COLOR_ATTACHMENT0,
-        blendTexture,
+        target.texture,
         0,
         i
       );
       //this.gl.clear(this.gl.DEPTH_BUFFER_BIT); //exhaustive, so not required
       this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 5, 4);
     }
-  } else
-    blendTexture = this.rgbaTex(blendTexture, this.gl.TEXTURE5, [2, 2, 2, 2]);
-  orientShader.use(this.gl);
-  this.gl.activeTexture(this.gl.TEXTURE1);
-  this.gl.bindTexture(this.gl.TEXTURE_2D, this.colormapTexture);
-
-  this.gl.uniform1f(orientShader.uniforms["cal_min"], overlayItem.cal_min);
-  this.gl.uniform1f(orientShader.uniforms["cal_max"], overlayItem.cal_max);
-  this.gl.bindTexture(this.gl.TEXTURE_3D, tempTex3D);
-  this.gl.uniform1i(orientShader.uniforms["intensityVol"], 6);
-  this.gl.uniform1i(orientShader.uniforms["blend3D"], 5);
-  this.gl.uniform1i(orientShader.uniforms["colormap"], 1);
-  this.gl.uniform1f(orientShader.uniforms["layer"], layer);
-  this.gl.uniform1f(orientShader.uniforms["numLayers"], numLayers);
-  this.gl.uniform1f(orientShader.uniforms["scl_inter"], hdr.scl_inter);
-  this.gl.uniform1f(orientShader.uniforms["scl_slope"], hdr.scl_slope);
-  this.gl.uniform1f(orientShader.uniforms["opacity"], opacity);
-  this.gl.uniformMatrix4fv(orientShader.uniforms["mtx"], false, mtx);
-  if (hdr.intent_code === 1002) {
-    let x = 1.0 / this.back.dims[1];
-    if (!this.opts.isAtlasOutline) x = -x;
-    this.gl.uniform3fv(orientShader.uniforms["xyzFrac"], [
-      x,
-      1.0 / this.back.dims[2],
-      1.0 / this.back.dims[3],
-    ]);
-  }
-  log.debug("back dims: ", this.back.dims);
-  for (let i = 0; i < this.back.dims[3]; i++) {
-    //output slices
-    let coordZ = (1 / this.back.dims[3]) * (i + 0.5);
-    this.gl.uniform1f(orientShader.uniforms["coordZ"], coordZ);
-    this.gl.framebufferTextureLayer(
-      this.gl.FRAMEBUFFER,
-      this.gl.COLOR_ATTACHMENT0,
-      outTexture,
-      0,
-      i
-    );
-    //this.gl.clear(this.gl.DEPTH_BUFFER_BIT); //exhaustive, so not required
-    this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 5, 4);
+    this.gl.deleteTexture(blendTexture);
   }
   this.gl.deleteTexture(tempTex3D);
-  this.gl.deleteTexture(blendTexture);
   this.gl.viewport(0, 0, this.gl.canvas.width, this.gl.canvas.height);
   this.gl.deleteFramebuffer(fb);
+  if (layer === 0) this.gradientGL(outTexture);
 
   // set overlays for slice shader
   this.sliceShader.use(this.gl);
@@ -2064,14 +3861,25 @@ Niivue.prototype.refreshLayers = function (overlayItem, layer, numLayers) {
   let vox = slicescl.vox;
   let volScale = slicescl.volScale;
   this.gl.uniform1f(this.renderShader.uniforms["overlays"], this.overlays);
+  let back3D = this.volumes[0];
   this.gl.uniform1f(
     this.renderShader.uniforms["backOpacity"],
-    this.volumes[0].opacity
+    back3D.opacity3D === undefined ? back3D.opacity : back3D.opacity3D
   );
-  this.gl.uniform4fv(
-    this.renderShader.uniforms["clipPlane"],
-    this.scene.clipPlane
+  //the average render mode applies the display range and colormap of the background to the mean intensity
+  this.gl.uniform1i(
+    this.renderShader.uniforms["isBackColormap"],
+    back3D.hdr.intent_code !== 1002 &&
+      back3D.hdr.datatypeCode !== back3D.DT_RGB &&
+      back3D.hdr.datatypeCode !== back3D.DT_RGBA32
+  );
+  this.gl.uniform2f(
+    this.renderShader.uniforms["backCalMinMax"],
+    back3D.cal_min,
+    back3D.cal_max
   );
+  this.gl.uniform1f(this.renderShader.uniforms["numLayers"], numLayers);
+  this.updateClipPlaneUniforms(this.renderShader);
   this.gl.uniform3fv(this.renderShader.uniforms["texVox"], vox);
   this.gl.uniform3fv(this.renderShader.uniforms["volScale"], volScale);
   this.volumeObject3D.pickingShader.use(this.gl);
@@ -2079,6 +3887,42 @@ Niivue.prototype.refreshLayers = function (overlayItem, layer, numLayers) {
   this.updateInterpolation(layer);
 }; // refreshLayers()
 
+// not included in public docs
+// compute the gradient texture used for lighting from the background texture
+Niivue.prototype.gradientGL = function (volumeTexture) {
+  let dims = this.back.dims;
+  let fb = this.gl.createFramebuffer();
+  this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, fb);
+  this.gl.disable(this.gl.CULL_FACE);
+  this.gl.viewport(0, 0, dims[1], dims[2]);
+  this.gl.disable(this.gl.BLEND);
+  this.gradientTexture = this.rgbaTex(
+    this.gradientTexture,
+    this.gl.TEXTURE4,
+    dims
+  );
+  this.gl.activeTexture(this.gl.TEXTURE0);
+  this.gl.bindTexture(this.gl.TEXTURE_3D, volumeTexture);
+  let shader = this.gradientShader;
+  shader.use(this.gl);
+  this.gl.uniform1i(shader.uniforms["intensityVol"], 0);
+  for (let i = 0; i < dims[3]; i++) {
+    //output slices
+    let coordZ = (1 / dims[3]) * (i + 0.5);
+    this.gl.uniform1f(shader.uniforms["coordZ"], coordZ);
+    this.gl.framebufferTextureLayer(
+      this.gl.FRAMEBUFFER,
+      this.gl.COLOR_ATTACHMENT0,
+      this.gradientTexture,
+      0,
+      i
+    );
+    this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 5, 4);
+  }
+  this.gl.viewport(0, 0, this.gl.canvas.width, this.gl.canvas.height);
+  this.gl.deleteFramebuffer(fb);
+}; // gradientGL()
+
 /**
  * query all available color maps that can be applied to volumes
  * @param {boolean} [sort=true] whether or not to sort the returned array
@@ -2245,6 +4089,23 @@ Niivue.prototype.sliceScale = function () {
   return { volScale, vox };
 }; // sliceScale()
 
+// not included in public docs
+// report the crosshair location, with the values of each volume for its current frame
+// and the values of each volume for all frames (the time course of 4D images)
+Niivue.prototype.createOnLocationChange = function () {
+  let mm = this.frac2mm(this.scene.crosshairPos);
+  this.scene.location$.next({
+    mm: mm,
+    vox: this.frac2vox(this.scene.crosshairPos),
+    frac: this.scene.crosshairPos,
+    values: this.volumes.map((v) => {
+      let vox = v.mm2vox(mm);
+      return v.getValue(...vox, v.frame4D);
+    }),
+    series: this.volumes.map((v) => v.getTimeCourse(...v.mm2vox(mm))),
+  });
+}; // createOnLocationChange()
+
 // not included in public docs
 Niivue.prototype.mouseClick = function (x, y, posChange = 0, isDelta = true) {
   var posNow;
@@ -2254,10 +4115,14 @@ Niivue.prototype.mouseClick = function (x, y, posChange = 0, isDelta = true) {
 
   if (this.sliceType === this.sliceTypeRender) {
     if (posChange === 0) return;
-    if (posChange > 0)
-      this.volScaleMultiplier = Math.min(2.0, this.volScaleMultiplier * 1.1);
-    if (posChange < 0)
-      this.volScaleMultiplier = Math.max(0.5, this.volScaleMultiplier * 0.9);
+    //a perspective camera dollies towards the volume, but stops before it enters it
+    let maxScale = this.calculateMaxScale3D();
+    let scale = Math.min(this.volScaleMultiplier, maxScale);
+    scale *= posChange > 0 ? 1.1 : 0.9;
+    this.volScaleMultiplier = Math.min(
+      Math.max(scale, Math.min(0.5, maxScale)),
+      maxScale
+    );
     this.drawScene();
     return;
   }
@@ -2284,7 +4149,14 @@ Niivue.prototype.mouseClick = function (x, y, posChange = 0, isDelta = true) {
     var fracX = (x - ltwh[0]) / ltwh[2];
     if (isMirror) fracX = 1.0 - fracX;
     var fracY = 1.0 - (y - ltwh[1]) / ltwh[3];
-    if (fracX >= 0.0 && fracX < 1.0 && fracY >= 0.0 && fracY < 1.0) {
+    //a zoomed slice extends beyond its view, only the visible part is clickable
+    if (
+      this.isInView([x, y], i) &&
+      fracX >= 0.0 &&
+      fracX < 1.0 &&
+      fracY >= 0.0 &&
+      fracY < 1.0
+    ) {
       //user clicked on slice i
       if (!isDelta) {
         this.scene.crosshairPos[2 - axCorSag] = posChange;
@@ -2298,17 +4170,7 @@ Niivue.prototype.mouseClick = function (x, y, posChange = 0, isDelta = true) {
         if (posFuture < 0) posFuture = 0;
         this.scene.crosshairPos[2 - axCorSag] = posFuture;
         this.drawScene();
-        this.scene.location$.next({
-          mm: this.frac2mm(this.scene.crosshairPos),
-          vox: this.frac2vox(this.scene.crosshairPos),
-          frac: this.scene.crosshairPos,
-          values: this.volumes.map((v, index) => {
-            let mm = this.frac2mm(this.scene.crosshairPos);
-            let vox = v.mm2vox(mm);
-            let val = v.getValue(...vox);
-            return val;
-          }),
-        });
+        this.createOnLocationChange();
         return;
       }
       if (axCorSag === this.sliceTypeAxial) {
@@ -2323,18 +4185,19 @@ Niivue.prototype.mouseClick = function (x, y, posChange = 0, isDelta = true) {
         this.scene.crosshairPos[1] = fracX;
         this.scene.crosshairPos[2] = fracY;
       }
+      if (this.opts.drawingEnabled && !this.opts.floodFillOnClick) {
+        this.drawPenLine(this.scene.crosshairPos, axCorSag);
+        this.refreshDrawing();
+      } else if (
+        this.opts.drawingEnabled &&
+        !isFinite(this.drawPenLocation[0])
+      ) {
+        //only fill once per click, not while dragging
+        this.drawPenLocation = this.scene.crosshairPos.slice();
+        this.floodFill({ axCorSag });
+      }
       this.drawScene();
-      this.scene.location$.next({
-        mm: this.frac2mm(this.scene.crosshairPos),
-        vox: this.frac2vox(this.scene.crosshairPos),
-        frac: this.scene.crosshairPos,
-        values: this.volumes.map((v, index) => {
-          let mm = this.frac2mm(this.scene.crosshairPos);
-          let vox = v.mm2vox(mm);
-          let val = v.getValue(...vox);
-          return val;
-        }),
-      });
+      this.createOnLocationChange();
       return;
     } else {
       //if click in slice i
@@ -2420,6 +4283,154 @@ Niivue.prototype.drawColorbar = function (leftTopWidthHeight) {
   //gl.enable(gl.DEPTH_TEST);
 }; // drawColorbar()
 
+// not included in public docs
+// draw the measurements made on the displayed slice
+Niivue.prototype.drawMeasurements = function (leftTopWidthHeight, axCorSag) {
+  //in-plane axes of the slice and the axis of its normal
+  let [ax, ay] = [
+    [0, 1],
+    [0, 2],
+    [1, 2],
+  ][axCorSag];
+  let az = 2 - axCorSag;
+  let halfVoxel = 0.5 / this.back.dimsRAS[az + 1];
+  let slice = this.scene.crosshairPos[az];
+  let measurements = this.measurements.slice();
+  if (this.measurePending.length > 1)
+    measurements.push({
+      type: this.opts.measureMode,
+      axCorSag: this.measurePendingAxCorSag,
+      points: this.measurePending,
+    });
+  let toCanvas = (frac) => [
+    leftTopWidthHeight[0] + leftTopWidthHeight[2] * frac[ax],
+    leftTopWidthHeight[1] + leftTopWidthHeight[3] * (1.0 - frac[ay]),
+  ];
+  this.gl.disable(this.gl.CULL_FACE);
+  for (let i = 0; i < measurements.length; i++) {
+    let m = measurements[i];
+    if (m.axCorSag !== axCorSag) continue;
+    if (Math.abs(m.points[0][az] - slice) > halfVoxel) continue;
+    let xy = m.points.map(toCanvas);
+    for (let j = 1; j < xy.length; j++)
+      this.drawLine([...xy[j - 1], ...xy[j]], 2, this.opts.measureColor);
+    if (m.points.length < 3 && m.type === "angle") continue;
+    let value = this.measurementValue(m.type, m.points);
+    //the font only has ASCII glyphs
+    let label =
+      m.type === "distance"
+        ? value.toFixed(1) + " mm"
+        : value.toFixed(1) + " deg";
+    //label the end of a distance, or the vertex of an angle
+    this.drawText([xy[1][0] + 4, xy[1][1]], label, 0.5);
+  }
+  this.gl.enable(this.gl.CULL_FACE);
+}; // drawMeasurements()
+
+// not included in public docs
+// show the statistics of the last right-drag selection box
+Niivue.prototype.drawROIStats = function () {
+  let { xy, stats } = this.roiStats;
+  let fmt = (v) => parseFloat(v.toPrecision(4)).toString();
+  //the font only has ASCII glyphs
+  let lines = [
+    "n = " + stats.count + " (" + fmt(stats.mm3) + " mm3)",
+    "mean = " + fmt(stats.mean) + " SD = " + fmt(stats.sd),
+    "median = " + fmt(stats.median),
+    "range = " + fmt(stats.min) + ".." + fmt(stats.max),
+  ];
+  let lineHeight =
+    this.opts.textHeight *
+    Math.min(this.gl.canvas.height, this.gl.canvas.width) *
+    0.5;
+  for (let i = 0; i < lines.length; i++)
+    this.drawText([xy[0], xy[1] + i * lineHeight], lines[i], 0.5);
+}; // drawROIStats()
+
+// not included in public docs
+// draw a line in any direction, xy in pixels with the origin at the top left of the canvas
+Niivue.prototype.drawLine = function (startXYendXY, thickness = 1, lineColor) {
+  if (
+    startXYendXY[0] === startXYendXY[2] &&
+    startXYendXY[1] === startXYendXY[3]
+  )
+    return; //direction of a zero length line is undefined
+  this.thickLineShader.use(this.gl);
+  this.gl.uniform4fv(this.thickLineShader.uniforms["lineColor"], lineColor);
+  this.gl.uniform2fv(this.thickLineShader.uniforms["canvasWidthHeight"], [
+    this.gl.canvas.width,
+    this.gl.canvas.height,
+  ]);
+  this.gl.uniform1f(this.thickLineShader.uniforms["thickness"], thickness);
+  this.gl.uniform4fv(
+    this.thickLineShader.uniforms["startXYendXY"],
+    startXYendXY
+  );
+  this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 5, 4);
+}; // drawLine()
+
+// not included in public docs
+// plot the values of the first 4D image at the crosshair over time
+Niivue.prototype.drawGraph4D = function (leftTopWidthHeight) {
+  if (!this.opts.show4Dgraph) return;
+  let volume = this.volumes.find((v) => v.nFrame4D > 1);
+  if (!volume) return;
+  let [left, top, width, height] = leftTopWidthHeight;
+  let textSize =
+    this.opts.textHeight *
+    Math.min(this.gl.canvas.height, this.gl.canvas.width) *
+    0.5;
+  let series = volume.getTimeCourse(
+    ...volume.mm2vox(this.frac2mm(this.scene.crosshairPos))
+  );
+  let mn = Math.min(...series);
+  let mx = Math.max(...series);
+  if (!isFinite(mn) || !isFinite(mx)) return; //crosshair outside volume
+  if (mn === mx) {
+    mn -= 1;
+    mx += 1;
+  }
+  let labels = [mx.toPrecision(3), mn.toPrecision(3)].map((str) =>
+    parseFloat(str).toString()
+  );
+  //leave room for the value labels to the left and frame labels below
+  let labelWidth =
+    Math.max(...labels.map((str) => this.textWidth(textSize, str))) +
+    textSize * 0.5;
+  left += labelWidth;
+  width -= labelWidth;
+  height -= textSize * 1.5;
+  if (width < 10 || height < 10) return;
+  this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.cuboidVertexBuffer);
+  this.gl.vertexAttribPointer(0, 3, this.gl.FLOAT, false, 0, 0);
+  this.gl.disable(this.gl.CULL_FACE);
+  //axes
+  let color = this.opts.crosshairColor;
+  this.drawLine([left, top, left, top + height], 1, color);
+  this.drawLine([left, top + height, left + width, top + height], 1, color);
+  let nFrame = series.length;
+  let frameX = (frame) => left + (frame / (nFrame - 1)) * width;
+  let valueY = (val) => top + height - ((val - mn) / (mx - mn)) * height;
+  //the current frame
+  let x = frameX(volume.frame4D);
+  this.drawLine([x, top, x, top + height], 1, color);
+  //the time course
+  for (let i = 1; i < nFrame; i++) {
+    this.drawLine(
+      [frameX(i - 1), valueY(series[i - 1]), frameX(i), valueY(series[i])],
+      2,
+      this.opts.graph4DLineColor
+    );
+  }
+  this.gl.enable(this.gl.CULL_FACE);
+  this.drawText([left - labelWidth, top], labels[0], 0.5);
+  this.drawText([left - labelWidth, top + height - textSize], labels[1], 0.5);
+  this.drawText([left, top + height], "0", 0.5);
+  let lastLabel = (nFrame - 1).toString();
+  let lastX = left + width - this.textWidth(textSize, lastLabel);
+  this.drawText([lastX, top + height], lastLabel, 0.5);
+}; // drawGraph4D()
+
 // not included in public docs
 Niivue.prototype.textWidth = function (scale, str) {
   let w = 0;
@@ -2533,6 +4544,16 @@ Niivue.prototype.setInterpolation = function (isNearest) {
 
 // not included in public docs
 Niivue.prototype.draw2D = function (leftTopWidthHeight, axCorSag) {
+  //the view is clipped to its tile, while the slice may be magnified and panned beyond it
+  let tile = leftTopWidthHeight.slice();
+  leftTopWidthHeight = this.zoomSlice(tile, axCorSag);
+  this.gl.enable(this.gl.SCISSOR_TEST);
+  this.gl.scissor(
+    tile[0],
+    this.gl.canvas.height - tile[1] - tile[3],
+    tile[2],
+    tile[3]
+  );
   this.gl.cullFace(this.gl.FRONT);
   this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.cuboidVertexBuffer);
   this.gl.vertexAttribPointer(0, 3, this.gl.FLOAT, false, 0, 0);
@@ -2583,9 +4604,14 @@ Niivue.prototype.draw2D = function (leftTopWidthHeight, axCorSag) {
   //record screenSlices to detect mouse click positions
   this.screenSlices[this.numScreenSlices].leftTopWidthHeight =
     leftTopWidthHeight;
+  this.screenSlices[this.numScreenSlices].tileLeftTopWidthHeight = tile;
   this.screenSlices[this.numScreenSlices].axCorSag = axCorSag;
   this.numScreenSlices += 1;
-  if (this.opts.crosshairWidth <= 0.0) return;
+  this.drawMeasurements(leftTopWidthHeight, axCorSag);
+  if (this.opts.crosshairWidth <= 0.0) {
+    this.gl.disable(this.gl.SCISSOR_TEST);
+    return;
+  }
   this.lineShader.use(this.gl);
   this.gl.uniform4fv(
     this.lineShader.uniforms["lineColor"],
@@ -2617,76 +4643,63 @@ Niivue.prototype.draw2D = function (leftTopWidthHeight, axCorSag) {
   );
   this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 5, 4);
   this.gl.enable(this.gl.CULL_FACE);
+  this.gl.disable(this.gl.SCISSOR_TEST);
+  //orientation labels stay at the edges of the view
   if (isMirrorLR)
-    this.drawTextRight(
-      [
-        leftTopWidthHeight[0] + leftTopWidthHeight[2] + 1,
-        leftTopWidthHeight[1] + 0.5 * leftTopWidthHeight[3],
-      ],
-      "R"
-    );
+    this.drawTextRight([tile[0] + 1, tile[1] + 0.5 * tile[3]], "R");
   else if (axCorSag < this.sliceTypeSagittal)
-    this.drawTextRight(
-      [
-        leftTopWidthHeight[0] + 1,
-        leftTopWidthHeight[1] + 0.5 * leftTopWidthHeight[3],
-      ],
-      "L"
-    );
+    this.drawTextRight([tile[0] + 1, tile[1] + 0.5 * tile[3]], "L");
   if (axCorSag === this.sliceTypeAxial)
-    this.drawTextBelow(
-      [
-        leftTopWidthHeight[0] + 0.5 * leftTopWidthHeight[2],
-        leftTopWidthHeight[1] + 1,
-      ],
-      "A"
-    );
+    this.drawTextBelow([tile[0] + 0.5 * tile[2], tile[1] + 1], "A");
   if (axCorSag > this.sliceTypeAxial)
-    this.drawTextBelow(
-      [
-        leftTopWidthHeight[0] + 0.5 * leftTopWidthHeight[2],
-        leftTopWidthHeight[1] + 1,
-      ],
-      "S"
-    );
+    this.drawTextBelow([tile[0] + 0.5 * tile[2], tile[1] + 1], "S");
   this.sync();
 }; // draw2D()
 
-Niivue.prototype.calculateMvpMatrix = function (object3D) {
+// not included in public docs
+// half the size of the 3D view at the center of the volume, across the shorter side of the canvas
+Niivue.prototype.calculateViewScale3D = function () {
+  return (
+    (0.7 * this.volumeObject3D.furthestVertexFromOrigin * 1.0) /
+    this.volScaleMultiplier
+  ); //2.0 WebGL viewport has range of 2.0 [-1,-1]...[1,1]
+}; // calculateViewScale3D()
+
+// not included in public docs
+// distance from the camera to the center of the volume
+Niivue.prototype.calculateCameraDistance3D = function () {
+  let scale = this.calculateViewScale3D();
+  if (!this.opts.isPerspective) return scale * 1.8; // to avoid clipping, >= SQRT(3)
+  //dolly: the perspective camera moves closer to zoom in, but stays outside the volume
+  let tanHalfFov = Math.tan((this.opts.fieldOfView * Math.PI) / 360);
+  return Math.max(
+    scale / tanHalfFov,
+    this.volumeObject3D.furthestVertexFromOrigin * minCameraDistance
+  );
+}; // calculateCameraDistance3D()
+
+// not included in public docs
+// largest volScaleMultiplier that changes the 3D view
+Niivue.prototype.calculateMaxScale3D = function () {
+  if (!this.opts.isPerspective) return 2.0;
+  let tanHalfFov = Math.tan((this.opts.fieldOfView * Math.PI) / 360);
+  return 0.7 / (tanHalfFov * minCameraDistance);
+}; // calculateMaxScale3D()
+
+// not included in public docs
+// rotate the volume and place it in front of the camera
+Niivue.prototype.calculateModelMatrix = function () {
   function deg2rad(deg) {
     return deg * (Math.PI / 180.0);
   }
-  let whratio = this.gl.canvas.clientWidth / this.gl.canvas.clientHeight;
-  let projectionMatrix = mat.mat4.create();
-  let scale =
-    (0.7 * this.volumeObject3D.furthestVertexFromOrigin * 1.0) /
-    this.volScaleMultiplier; //2.0 WebGL viewport has range of 2.0 [-1,-1]...[1,1]
-  if (whratio < 1)
-    //tall window: "portrait" mode, width constrains
-    mat.mat4.ortho(
-      projectionMatrix,
-      -scale,
-      scale,
-      -scale / whratio,
-      scale / whratio,
-      0.01,
-      scale * 8.0
-    );
-  //Wide window: "landscape" mode, height constrains
-  else
-    mat.mat4.ortho(
-      projectionMatrix,
-      -scale * whratio,
-      scale * whratio,
-      -scale,
-      scale,
-      0.01,
-      scale * 8.0
-    );
   const modelMatrix = mat.mat4.create();
   modelMatrix[0] = -1; //mirror X coordinate
   //push the model away from the camera so camera not inside model
-  let translateVec3 = mat.vec3.fromValues(0, 0, -scale * 1.8); // to avoid clipping, >= SQRT(3)
+  let translateVec3 = mat.vec3.fromValues(
+    0,
+    0,
+    -this.calculateCameraDistance3D()
+  );
   mat.mat4.translate(modelMatrix, modelMatrix, translateVec3);
   mat.mat4.translate(modelMatrix, modelMatrix, this.volumeObject3D.position);
   //apply elevation
@@ -2707,13 +4720,95 @@ Niivue.prototype.calculateMvpMatrix = function (object3D) {
     modelMatrix,
     this.volumeObject3D.originNegate
   );
+  return modelMatrix;
+}; // calculateModelMatrix()
+
+// not included in public docs
+// the volume is rendered from the far side of the camera set up by calculateModelMatrix (the rays travel towards it,
+// and the X mirror keeps left and right), so the perspective camera is reflected in depth about the center of the volume
+Niivue.prototype.calculateDepthReflection = function () {
+  let distance = this.calculateCameraDistance3D();
+  let reflection = mat.mat4.create();
+  mat.mat4.translate(reflection, reflection, [0, 0, -distance]);
+  mat.mat4.scale(reflection, reflection, [1, 1, -1]);
+  mat.mat4.translate(reflection, reflection, [0, 0, distance]);
+  return reflection;
+}; // calculateDepthReflection()
+
+// not included in public docs
+// position of the perspective camera in the space of the volume render shaders: texture coordinates scaled by volScale
+Niivue.prototype.calculateEyePosition = function () {
+  let eye = mat.vec4.fromValues(0, 0, 0, 1);
+  mat.vec4.transformMat4(eye, eye, this.calculateDepthReflection());
+  let modelMatrix = this.calculateModelMatrix();
+  mat.mat4.invert(modelMatrix, modelMatrix);
+  mat.vec4.transformMat4(eye, eye, modelMatrix); //millimeters
+  let mm2vox = mat.mat4.clone(this.back.matRAS);
+  mat.mat4.transpose(mm2vox, mm2vox);
+  mat.mat4.invert(mm2vox, mm2vox);
+  mat.vec4.transformMat4(eye, eye, mm2vox);
+  //the corners of the volume cube are the centers of the corner voxels, see toNiivueObject3D()
+  let dims = this.back.dimsRAS;
+  return [0, 1, 2].map((i) => (eye[i] / (dims[i + 1] - 1)) * this.volScale[i]);
+}; // calculateEyePosition()
+
+Niivue.prototype.calculateMvpMatrix = function (object3D) {
+  let whratio = this.gl.canvas.clientWidth / this.gl.canvas.clientHeight;
+  let projectionMatrix = mat.mat4.create();
+  let scale = this.calculateViewScale3D();
+  if (this.opts.isPerspective) {
+    let distance = this.calculateCameraDistance3D();
+    let radius = this.volumeObject3D.furthestVertexFromOrigin;
+    //the field of view spans the shorter side of the canvas
+    let tanHalfFov = Math.tan((this.opts.fieldOfView * Math.PI) / 360);
+    if (whratio < 1) tanHalfFov /= whratio;
+    mat.mat4.perspective(
+      projectionMatrix,
+      2 * Math.atan(tanHalfFov),
+      whratio,
+      (distance - radius) * 0.5,
+      distance + radius * 2
+    );
+    mat.mat4.multiply(
+      projectionMatrix,
+      projectionMatrix,
+      this.calculateDepthReflection()
+    );
+  } else if (whratio < 1)
+    //tall window: "portrait" mode, width constrains
+    mat.mat4.ortho(
+      projectionMatrix,
+      -scale,
+      scale,
+      -scale / whratio,
+      scale / whratio,
+      0.01,
+      scale * 8.0
+    );
+  //Wide window: "landscape" mode, height constrains
+  else
+    mat.mat4.ortho(
+      projectionMatrix,
+      -scale * whratio,
+      scale * whratio,
+      -scale,
+      scale,
+      0.01,
+      scale * 8.0
+    );
+  const modelMatrix = this.calculateModelMatrix();
   let modelViewProjectionMatrix = mat.mat4.create();
   mat.mat4.multiply(modelViewProjectionMatrix, projectionMatrix, modelMatrix);
   return modelViewProjectionMatrix;
 }; // calculateMvpMatrix
 
 // not included in public docs
-Niivue.prototype.calculateRayDirection = function () {
+// the direction of the rays for a camera at azimuth and elevation (degrees)
+// a perspective camera looks the same way, its rays diverge from calculateEyePosition()
+Niivue.prototype.calculateRayDirection = function (
+  azimuth = this.scene.renderAzimuth,
+  elevation = this.scene.renderElevation
+) {
   function deg2rad(deg) {
     return deg * (Math.PI / 180.0);
   }
@@ -2721,17 +4816,9 @@ Niivue.prototype.calculateRayDirection = function () {
   modelMatrix[0] = -1; //mirror X coordinate
   //push the model away from the camera so camera not inside model
   //apply elevation
-  mat.mat4.rotateX(
-    modelMatrix,
-    modelMatrix,
-    deg2rad(270 - this.scene.renderElevation)
-  );
+  mat.mat4.rotateX(modelMatrix, modelMatrix, deg2rad(270 - elevation));
   //apply azimuth
-  mat.mat4.rotateZ(
-    modelMatrix,
-    modelMatrix,
-    deg2rad(this.scene.renderAzimuth - 180)
-  );
+  mat.mat4.rotateZ(modelMatrix, modelMatrix, deg2rad(azimuth - 180));
   let oblique = mat.mat4.clone(this.back.obliqueRAS);
   mat.mat4.multiply(modelMatrix, modelMatrix, oblique);
   //from NIfTI spatial coordinates (X=right, Y=anterior, Z=superior) to WebGL (screen X=right,Y=up, Z=depth)
@@ -2770,6 +4857,12 @@ Niivue.prototype.calculateRayDirection = function () {
   return rayDir;
 }; // calculateRayDirection
 
+// not included in public docs
+Niivue.prototype.updateCameraUniforms = function (shader, eyePos) {
+  this.gl.uniform1i(shader.uniforms["isPerspective"], this.opts.isPerspective);
+  this.gl.uniform3fv(shader.uniforms["eyePos"], eyePos);
+}; // updateCameraUniforms()
+
 // not included in public docs
 Niivue.prototype.draw3D = function () {
   this.gl.viewport(0, 0, this.gl.canvas.width, this.gl.canvas.height);
@@ -2779,6 +4872,17 @@ Niivue.prototype.draw3D = function () {
   // mvp matrix and ray direction can now be a constant because of world space
   const mvpMatrix = this.calculateMvpMatrix(this.volumeObject3D);
   const rayDir = this.calculateRayDirection();
+  const eyePos = this.calculateEyePosition();
+  //reflecting the perspective camera in depth also reverses the winding of the faces
+  const cullFace = this.opts.isPerspective ? this.gl.BACK : this.gl.FRONT;
+  //the light shines along the rays of a camera offset from the viewer
+  const lightDir = this.calculateRayDirection(
+    this.scene.renderAzimuth + this.opts.lightAzimuth,
+    this.scene.renderElevation + this.opts.lightElevation
+  );
+  mat.vec3.negate(lightDir, lightDir);
+  this.renderShader.use(this.gl);
+  this.gl.uniform3fv(this.renderShader.uniforms["lightDir"], lightDir);
 
   for (const object3D of this.objectsToRender3D) {
     if (!object3D.isVisible || !object3D.isPickable) {
@@ -2793,9 +4897,9 @@ Niivue.prototype.draw3D = function () {
     if (object3D.glFlags & object3D.CULL_FACE) {
       this.gl.enable(this.gl.CULL_FACE);
       if (object3D.glFlags & object3D.CULL_FRONT) {
-        this.gl.cullFace(this.gl.FRONT);
+        this.gl.cullFace(cullFace);
       } else {
-        this.gl.cullFace(this.gl.FRONT);
+        this.gl.cullFace(cullFace);
       }
     } else {
       this.gl.disable(this.gl.CULL_FACE);
@@ -2808,18 +4912,15 @@ Niivue.prototype.draw3D = function () {
     );
 
     if (pickingShader.rayDirUniformName) {
-      let rayDir = this.calculateRayDirection();
       this.gl.uniform3fv(
         pickingShader.uniforms[pickingShader.rayDirUniformName],
         rayDir
       );
+      this.updateCameraUniforms(pickingShader, eyePos);
     }
 
     if (pickingShader.clipPlaneUniformName) {
-      this.gl.uniform4fv(
-        pickingShader.uniforms["clipPlane"],
-        this.scene.clipPlane
-      );
+      this.updateClipPlaneUniforms(pickingShader);
     }
 
     this.gl.uniform1i(pickingShader.uniforms["id"], object3D.id);
@@ -2906,9 +5007,9 @@ Niivue.prototype.draw3D = function () {
     if (object3D.glFlags & object3D.CULL_FACE) {
       this.gl.enable(this.gl.CULL_FACE);
       if (object3D.glFlags & object3D.CULL_FRONT) {
-        this.gl.cullFace(this.gl.FRONT);
+        this.gl.cullFace(cullFace);
       } else {
-        this.gl.cullFace(this.gl.FRONT); //TH switch since we L/R flipped in calculateMvpMatrix
+        this.gl.cullFace(cullFace); //TH switch since we L/R flipped in calculateMvpMatrix
       }
     } else {
       this.gl.disable(this.gl.CULL_FACE);
@@ -2932,10 +5033,11 @@ Niivue.prototype.draw3D = function () {
       }
       if (shader.rayDirUniformName) {
         this.gl.uniform3fv(shader.uniforms[shader.rayDirUniformName], rayDir);
+        this.updateCameraUniforms(shader, eyePos);
       }
 
       if (shader.clipPlaneUniformName) {
-        this.gl.uniform4fv(shader.uniforms["clipPlane"], this.scene.clipPlane);
+        this.updateClipPlaneUniforms(shader);
       }
 
       this.gl.drawElements(
@@ -3144,7 +5246,13 @@ Niivue.prototype.canvasPos2frac = function (canvasPos) {
     }
 
     var fracY = 1.0 - (canvasPos[1] - ltwh[1]) / ltwh[3];
-    if (fracX >= 0.0 && fracX < 1.0 && fracY >= 0.0 && fracY < 1.0) {
+    if (
+      this.isInView(canvasPos, i) &&
+      fracX >= 0.0 &&
+      fracX < 1.0 &&
+      fracY >= 0.0 &&
+      fracY < 1.0
+    ) {
       // this is the slice the user right clicked in
       switch (axCorSag) {
         case this.sliceTypeAxial:
@@ -3278,6 +5386,14 @@ Niivue.prototype.drawScene = function () {
         wY - margin - margin,
         hY * this.opts.colorbarHeight,
       ]);
+      //draw time course of 4D images (optional) below the colorbar
+      let graphTop = ltwh[1] + hZ + margin + hY * this.opts.colorbarHeight;
+      this.drawGraph4D([
+        ltwh[0] + wX + margin,
+        graphTop + margin,
+        wY - margin - margin,
+        ltwh[1] + ltwh[3] - graphTop - margin - margin,
+      ]);
       // drawTextBelow(gl, [ltwh[0]+ wX + (wY * 0.5), ltwh[1] + hZ + margin + hY * colorbarHeight], "Syzygy"); //DEMO
     }
   }
@@ -3293,6 +5409,7 @@ Niivue.prototype.drawScene = function () {
       height,
     ]);
   }
+  if (this.roiStats) this.drawROIStats();
 
   const pos = this.frac2mm([
     this.scene.crosshairPos[0],
@@ -1,4 +1,5 @@
 import * as nifti from "nifti-reader-js";
+import * as pako from "pako";
 import { v4 as uuidv4 } from "uuid";
 import * as mat from "gl-matrix";
 import * as cmaps from "./cmaps";
@@ -20,14 +21,16 @@ const log = new Log();
  * @description
  * a NVImage encapsulates some images data and provides methods to query and operate on images
  * @constructor
- * @param {array} dataBuffer an array buffer of image data to load (there are also methods that abstract this more. See loadFromUrl, and loadFromFile)
- * @param {string} [name=''] a name for this image. Default is an empty string
+ * @param {array} dataBuffer an array buffer of image data to load, or an array of array buffers for the slices of a DICOM series (there are also methods that abstract this more. See loadFromUrl, loadFromFile and loadFromDICOMFiles)
+ * @param {string} [name=''] a name for this image, its extension selects the file format (e.g. ".mgz"). Default is an empty string
  * @param {string} [colorMap='gray'] a color map to use. default is gray
  * @param {number} [opacity=1.0] the opacity for this image. default is 1
  * @param {boolean} [trustCalMinMax=true] whether or not to trust cal_min and cal_max from the nifti header (trusting results in faster loading)
  * @param {number} [percentileFrac=0.02] the percentile to use for setting the robust range of the display values (smart intensity setting for images with large ranges)
  * @param {boolean} [ignoreZeroVoxels=false] whether or not to ignore zero voxels in setting the robust range of display values
  * @param {boolean} [visible=true] whether or not this image is to be visible
+ * @param {boolean} [useQFormNotSForm=false] whether or not to use the NIfTI qform rather than the sform
+ * @param {array} [pairedImgData=null] an array buffer of image data for formats with a separate header (e.g. the .img of an Analyze .hdr)
  */
 export var NVImage = function (
   dataBuffer,
@@ -38,7 +41,8 @@ export var NVImage = function (
   percentileFrac = 0.02,
   ignoreZeroVoxels = false,
   visible = true,
-  useQFormNotSForm = false
+  useQFormNotSForm = false,
+  pairedImgData = null
 ) {
   // https://nifti.nimh.nih.gov/pub/dist/src/niftilib/nifti1.h
   this.DT_NONE = 0;
@@ -66,17 +70,31 @@ export var NVImage = function (
   this.id = uuidv4();
   this.colorMap = colorMap;
   this.opacity = opacity > 1.0 ? 1.0 : opacity; //make sure opacity can't be initialized greater than 1 see: #107 and #117 on github
+  this.opacity3D = undefined; // opacity in the 3D render, the opacity above if undefined (see Niivue.setOpacity3D)
   this.percentileFrac = percentileFrac;
   this.ignoreZeroVoxels = ignoreZeroVoxels;
   this.trustCalMinMax = trustCalMinMax;
   this.visible = visible;
+  this.isUncertainLR = false; //true for formats that do not record left-right orientation
+  this.frame4D = 0; //index of the displayed volume of a 4D image
+  this.affineXformCode = 0; //NIfTI xform code of hdr.affine: the sform code, the qform code if it was derived from the qform, 0 if neither was usable
 
   // Added to support zerosLike
   if (!dataBuffer) {
     return;
   }
 
-  this.hdr = nifti.readHeader(dataBuffer);
+  let imgRaw = null;
+  let ext = this.getFileExt(name);
+  if (Array.isArray(dataBuffer)) imgRaw = this.readDICOM(dataBuffer);
+  else if (ext === "MGH" || ext === "MGZ") imgRaw = this.readMGH(dataBuffer);
+  else if (ext === "NRRD" || ext === "NHDR")
+    imgRaw = this.readNRRD(dataBuffer, pairedImgData);
+  else if (ext === "MHA" || ext === "MHD")
+    imgRaw = this.readMHA(dataBuffer, pairedImgData);
+  else if (ext === "HDR") imgRaw = this.readHDR(dataBuffer, pairedImgData);
+  else if (ext === "HEAD") imgRaw = this.readHEAD(dataBuffer, pairedImgData);
+  else imgRaw = this.readNIFTI(dataBuffer);
   function isAffineOK(mtx) {
     //A good matrix should not have any components that are not a number
     //A good spatial transformation matrix should not have a row or column that is all zeros
@@ -104,6 +122,7 @@ export var NVImage = function (
     this.hdr.scl_slope = 1.0; //https://github.com/nipreps/fmriprep/issues/2507
   if (isNaN(this.hdr.scl_inter)) this.hdr.scl_inter = 0.0;
   let affineOK = isAffineOK(this.hdr.affine);
+  this.affineXformCode = this.hdr.sform_code || 0;
   if (
     useQFormNotSForm ||
     !affineOK ||
@@ -154,6 +173,7 @@ export var NVImage = function (
     affine[1][3] = this.hdr.qoffset_y;
     affine[2][3] = this.hdr.qoffset_z;
     this.hdr.affine = affine;
+    this.affineXformCode = this.hdr.qform_code || 0;
   }
   affineOK = isAffineOK(this.hdr.affine);
   if (!affineOK) {
@@ -174,12 +194,16 @@ export var NVImage = function (
       [0, 0, 0, 1],
     ];
     this.hdr.affine = affine;
+    this.affineXformCode = 0;
   } //defective affine
-  let imgRaw = null;
-  if (nifti.isCompressed(dataBuffer)) {
-    imgRaw = nifti.readImage(this.hdr, nifti.decompress(dataBuffer));
-  } else {
-    imgRaw = nifti.readImage(this.hdr, dataBuffer);
+  if (!this.hdr.littleEndian) {
+    let bytesPerComponent = this.hdr.numBitsPerVoxel / 8;
+    if (
+      this.hdr.datatypeCode === this.DT_RGB ||
+      this.hdr.datatypeCode === this.DT_RGBA32
+    )
+      bytesPerComponent = 1;
+    swapBytes(imgRaw, bytesPerComponent);
   }
 
   switch (this.hdr.datatypeCode) {
@@ -240,6 +264,1113 @@ export var NVImage = function (
   this.calMinMax();
 };
 
+// not included in public docs
+// return the upper case extension of a file name, ignoring ".gz" and URL queries
+// e.g. "T1.nii.gz" -> "NII", "brain.mgz" -> "MGZ"
+NVImage.prototype.getFileExt = function (fullname, upperCase = true) {
+  let name = fullname.split("?")[0];
+  let re = /(?:\.([^./]+))?$/;
+  let ext = re.exec(name)[1];
+  if (ext === undefined) return "";
+  if (ext.toUpperCase() === "GZ") {
+    name = name.slice(0, -3);
+    ext = re.exec(name)[1];
+    if (ext === undefined) return "";
+  }
+  return upperCase ? ext.toUpperCase() : ext;
+}; // getFileExt()
+
+// not included in public docs
+// read NIfTI-1 or NIfTI-2 header, return raw image data
+NVImage.prototype.readNIFTI = function (dataBuffer) {
+  //decompress once, rather than separately for the header and the image
+  if (nifti.isCompressed(dataBuffer)) dataBuffer = nifti.decompress(dataBuffer);
+  if (isNIfTI2(dataBuffer)) this.hdr = readNIfTI2Header(dataBuffer);
+  else this.hdr = nifti.readHeader(dataBuffer);
+  return nifti.readImage(this.hdr, dataBuffer);
+}; // readNIFTI()
+
+// not included in public docs
+// read FreeSurfer MGH (or gzip compressed MGZ) format, return raw image data
+// https://surfer.nmr.mgh.harvard.edu/fswiki/FsTutorial/MghFormat
+NVImage.prototype.readMGH = function (dataBuffer) {
+  if (nifti.isCompressed(dataBuffer)) dataBuffer = nifti.decompress(dataBuffer);
+  let view = new DataView(dataBuffer); //MGH is always big endian
+  let version = view.getInt32(0, false);
+  if (version !== 1)
+    throw new Error("Not a valid MGH file: version " + version);
+  let width = view.getInt32(4, false);
+  let height = view.getInt32(8, false);
+  let depth = view.getInt32(12, false);
+  let nframes = view.getInt32(16, false);
+  let mtype = view.getInt32(20, false);
+  let goodRASFlag = view.getInt16(28, false);
+  let spacing = [1, 1, 1];
+  //direction cosines (Mdc) of the columns, rows and slices, and the center
+  let xyzc = [
+    [-1, 0, 0],
+    [0, 0, -1],
+    [0, 1, 0],
+    [0, 0, 0],
+  ];
+  if (goodRASFlag > 0) {
+    for (let i = 0; i < 3; i++) spacing[i] = view.getFloat32(30 + i * 4, false);
+    for (let i = 0; i < 4; i++)
+      for (let j = 0; j < 3; j++)
+        xyzc[i][j] = view.getFloat32(42 + i * 12 + j * 4, false);
+  }
+  let hdr = new nifti.NIFTI1();
+  hdr.littleEndian = false;
+  hdr.dims = [3, width, height, depth, nframes, 1, 1, 1];
+  if (nframes > 1) hdr.dims[0] = 4;
+  hdr.pixDims = [1, spacing[0], spacing[1], spacing[2], 1, 1, 1, 1];
+  switch (mtype) {
+    case 0:
+      hdr.datatypeCode = this.DT_UNSIGNED_CHAR;
+      hdr.numBitsPerVoxel = 8;
+      break;
+    case 1:
+      hdr.datatypeCode = this.DT_SIGNED_INT;
+      hdr.numBitsPerVoxel = 32;
+      break;
+    case 3:
+      hdr.datatypeCode = this.DT_FLOAT;
+      hdr.numBitsPerVoxel = 32;
+      break;
+    case 4:
+      hdr.datatypeCode = this.DT_SIGNED_SHORT;
+      hdr.numBitsPerVoxel = 16;
+      break;
+    default:
+      throw new Error("Unsupported MGH data type " + mtype);
+  }
+  hdr.vox_offset = 284;
+  //voxel to world: Mdc scaled by spacing, with the center voxel at c_ras
+  let affine = [
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+    [0, 0, 0, 1],
+  ];
+  let center = [width / 2, height / 2, depth / 2];
+  for (let i = 0; i < 3; i++) {
+    affine[i][3] = xyzc[3][i];
+    for (let j = 0; j < 3; j++) {
+      affine[i][j] = xyzc[j][i] * spacing[j];
+      affine[i][3] -= affine[i][j] * center[j];
+    }
+  }
+  hdr.affine = affine;
+  hdr.sform_code = 1;
+  let nBytes = width * height * depth * nframes * (hdr.numBitsPerVoxel / 8);
+  //optional tail: the first value is the repetition time in msec
+  if (dataBuffer.byteLength >= hdr.vox_offset + nBytes + 4) {
+    let tr = view.getFloat32(hdr.vox_offset + nBytes, false);
+    if (isFinite(tr) && tr > 0) {
+      hdr.pixDims[4] = tr / 1000;
+      hdr.xyzt_units = 10; //mm and sec
+    }
+  }
+  this.hdr = hdr;
+  return dataBuffer.slice(hdr.vox_offset, hdr.vox_offset + nBytes);
+}; // readMGH()
+
+// not included in public docs
+// read NRRD format (attached .nrrd or detached .nhdr header), return raw image data
+// http://teem.sourceforge.net/nrrd/format.html
+NVImage.prototype.readNRRD = function (dataBuffer, pairedImgData = null) {
+  let bytes = new Uint8Array(dataBuffer);
+  //the header ends with the first blank line
+  let hdrEnd = bytes.length;
+  let dataStart = bytes.length;
+  for (let i = 1; i < bytes.length; i++) {
+    if (bytes[i] !== 10) continue;
+    if (bytes[i - 1] === 10) {
+      hdrEnd = i - 1;
+      dataStart = i + 1;
+      break;
+    }
+    if (bytes[i - 1] === 13 && i > 2 && bytes[i - 2] === 10) {
+      hdrEnd = i - 2;
+      dataStart = i + 1;
+      break;
+    }
+  }
+  let lines = new TextDecoder()
+    .decode(bytes.subarray(0, hdrEnd))
+    .split(/\r?\n/);
+  if (!lines[0].startsWith("NRRD")) throw new Error("Not a valid NRRD file");
+  let fields = {};
+  for (let i = 1; i < lines.length; i++) {
+    let line = lines[i];
+    if (line.startsWith("#")) continue; //comment
+    let pos = line.indexOf(": ");
+    if (pos < 0) continue; //"key:=value" pairs are not fields
+    fields[line.slice(0, pos).trim().toLowerCase()] = line
+      .slice(pos + 2)
+      .trim();
+  }
+  let hdr = new nifti.NIFTI1();
+  hdr.littleEndian = fields["endian"] !== "big";
+  switch (fields["type"]) {
+    case "signed char":
+    case "int8":
+    case "int8_t":
+      hdr.datatypeCode = this.DT_INT8;
+      hdr.numBitsPerVoxel = 8;
+      break;
+    case "uchar":
+    case "unsigned char":
+    case "uint8":
+    case "uint8_t":
+      hdr.datatypeCode = this.DT_UNSIGNED_CHAR;
+      hdr.numBitsPerVoxel = 8;
+      break;
+    case "short":
+    case "short int":
+    case "signed short":
+    case "signed short int":
+    case "int16":
+    case "int16_t":
+      hdr.datatypeCode = this.DT_SIGNED_SHORT;
+      hdr.numBitsPerVoxel = 16;
+      break;
+    case "ushort":
+    case "unsigned short":
+    case "unsigned short int":
+    case "uint16":
+    case "uint16_t":
+      hdr.datatypeCode = this.DT_UINT16;
+      hdr.numBitsPerVoxel = 16;
+      break;
+    case "int":
+    case "signed int":
+    case "int32":
+    case "int32_t":
+      hdr.datatypeCode = this.DT_SIGNED_INT;
+      hdr.numBitsPerVoxel = 32;
+      break;
+    case "uint":
+    case "unsigned int":
+    case "uint32":
+    case "uint32_t":
+      hdr.datatypeCode = this.DT_UINT32;
+      hdr.numBitsPerVoxel = 32;
+      break;
+    case "longlong":
+    case "long long":
+    case "long long int":
+    case "signed long long":
+    case "signed long long int":
+    case "int64":
+    case "int64_t":
+      hdr.datatypeCode = this.DT_INT64;
+      hdr.numBitsPerVoxel = 64;
+      break;
+    case "float":
+      hdr.datatypeCode = this.DT_FLOAT;
+      hdr.numBitsPerVoxel = 32;
+      break;
+    case "double":
+      hdr.datatypeCode = this.DT_DOUBLE;
+      hdr.numBitsPerVoxel = 64;
+      break;
+    default:
+      throw new Error("Unsupported NRRD data type " + fields["type"]);
+  }
+  let sizes = fields["sizes"].split(/\s+/).map(Number);
+  let nAxes = sizes.length;
+  //spatial axes have a space direction, other axes (e.g. vectors, time) are "none"
+  let directions = [];
+  if ("space directions" in fields) {
+    let vecs = fields["space directions"].match(/\([^)]*\)|none/g);
+    for (let i = 0; i < nAxes; i++) {
+      if (vecs[i] === "none") directions.push(null);
+      else directions.push(vecs[i].slice(1, -1).split(",").map(Number));
+    }
+  } else {
+    let spacings = [];
+    if ("spacings" in fields) spacings = fields["spacings"].split(/\s+/);
+    let kinds = [];
+    if ("kinds" in fields) kinds = fields["kinds"].split(/\s+/);
+    let k = 0;
+    for (let i = 0; i < nAxes; i++) {
+      if (k > 2 || (i < kinds.length && !isNRRDSpatialKind(kinds[i]))) {
+        directions.push(null);
+        continue;
+      }
+      let d = [0, 0, 0];
+      d[k] = parseFloat(spacings[i]);
+      if (isNaN(d[k]) || d[k] === 0.0) d[k] = 1.0;
+      directions.push(d);
+      k++;
+    }
+  }
+  let spatial = [];
+  let other = [];
+  for (let i = 0; i < nAxes; i++) {
+    if (directions[i] === null) other.push(i);
+    else spatial.push(i);
+  }
+  if (spatial.length < 2 || spatial.length > 3 || other.length > 1)
+    throw new Error("Unsupported NRRD layout: " + fields["sizes"]);
+  let dims = [3, 1, 1, 1, 1, 1, 1, 1];
+  for (let i = 0; i < spatial.length; i++) dims[i + 1] = sizes[spatial[i]];
+  let nComponents = 1;
+  if (other.length > 0) nComponents = sizes[other[0]];
+  let nBytes =
+    dims[1] * dims[2] * dims[3] * nComponents * (hdr.numBitsPerVoxel / 8);
+  //image data is either attached after the header, or in a separate data file
+  let raw = null;
+  if (pairedImgData) raw = pairedImgData;
+  else if ("data file" in fields || "datafile" in fields)
+    throw new Error("NRRD detached data file not provided");
+  else raw = dataBuffer.slice(dataStart);
+  let encoding = fields["encoding"] || "raw";
+  if (encoding === "gzip" || encoding === "gz")
+    raw = pako.inflate(new Uint8Array(raw)).buffer;
+  else if (encoding !== "raw")
+    throw new Error("Unsupported NRRD encoding " + encoding);
+  let skip = parseInt(fields["byte skip"]) || 0;
+  if (skip < 0) skip = raw.byteLength - nBytes; //-1: data is at the end of the file
+  raw = raw.slice(skip, skip + nBytes);
+  let kind = "";
+  if (other.length > 0 && "kinds" in fields)
+    kind = fields["kinds"].split(/\s+/)[other[0]];
+  let isInterleavedUint8 =
+    other[0] === 0 && hdr.datatypeCode === this.DT_UNSIGNED_CHAR;
+  if (isInterleavedUint8 && (kind === "RGB-color" || kind === "3-color")) {
+    hdr.datatypeCode = this.DT_RGB;
+    hdr.numBitsPerVoxel = 24;
+  } else if (
+    isInterleavedUint8 &&
+    (kind === "RGBA-color" || kind === "4-color")
+  ) {
+    hdr.datatypeCode = this.DT_RGBA32;
+    hdr.numBitsPerVoxel = 32;
+  } else if (nComponents > 1) {
+    //vectors and time points are stored as separate volumes
+    dims[0] = 4;
+    dims[4] = nComponents;
+    //the first axis varies fastest: interleaved components become volumes
+    if (other[0] === 0)
+      raw = interleavedToPlanar(raw, nComponents, hdr.numBitsPerVoxel / 8);
+  }
+  hdr.dims = dims;
+  //voxel to world: columns are the space directions of the spatial axes
+  let origin = [0, 0, 0];
+  if ("space origin" in fields)
+    origin = fields["space origin"].slice(1, -1).split(",").map(Number);
+  let affine = [
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+    [0, 0, 0, 1],
+  ];
+  let cols = directions.filter((d) => d !== null);
+  if (cols.length < 3) cols.push([0, 0, 1]); //2D image
+  hdr.pixDims = [1, 1, 1, 1, 1, 1, 1, 1];
+  for (let j = 0; j < 3; j++) {
+    for (let i = 0; i < 3; i++) affine[i][j] = cols[j][i] || 0;
+    hdr.pixDims[j + 1] = Math.hypot(affine[0][j], affine[1][j], affine[2][j]);
+  }
+  for (let i = 0; i < 3; i++) affine[i][3] = origin[i] || 0;
+  //NIfTI world space is RAS, NRRD left and posterior spaces need flips
+  let space = (fields["space"] || "").toLowerCase();
+  if (space.includes("-")) {
+    //e.g. "left-posterior-superior" -> "lps"
+    space = space
+      .split("-")
+      .map((s) => s[0])
+      .join("");
+  }
+  let flips = [1, 1];
+  if (space[0] === "l") flips[0] = -1;
+  if (space[1] === "p") flips[1] = -1;
+  for (let i = 0; i < 2; i++)
+    for (let j = 0; j < 4; j++)
+      if (affine[i][j] !== 0) affine[i][j] *= flips[i];
+  hdr.affine = affine;
+  hdr.sform_code = 2;
+  hdr.vox_offset = 0;
+  this.hdr = hdr;
+  return raw;
+}; // readNRRD()
+
+// not included in public docs
+// read ITK MetaImage format (inline .mha or .mhd with a separate data file), return raw image data
+// https://itk.org/Wiki/ITK/MetaIO/Documentation
+NVImage.prototype.readMHA = function (dataBuffer, pairedImgData = null) {
+  let bytes = new Uint8Array(dataBuffer);
+  //the header ends with the ElementDataFile line
+  let fields = {};
+  let pos = 0;
+  while (pos < bytes.length) {
+    let eol = bytes.indexOf(10, pos);
+    if (eol < 0) eol = bytes.length;
+    let line = new TextDecoder().decode(bytes.subarray(pos, eol)).trim();
+    pos = eol + 1;
+    let eq = line.indexOf("=");
+    if (eq < 0) continue;
+    let key = line.slice(0, eq).trim();
+    fields[key] = line.slice(eq + 1).trim();
+    if (key === "ElementDataFile") break;
+  }
+  if (!("ElementDataFile" in fields) || !("DimSize" in fields))
+    throw new Error("Not a valid MetaImage file");
+  let hdr = new nifti.NIFTI1();
+  let isMSB = fields["BinaryDataByteOrderMSB"] || fields["ElementByteOrderMSB"];
+  hdr.littleEndian = !(isMSB && isMSB.toLowerCase() === "true");
+  switch (fields["ElementType"]) {
+    case "MET_CHAR":
+      hdr.datatypeCode = this.DT_INT8;
+      hdr.numBitsPerVoxel = 8;
+      break;
+    case "MET_UCHAR":
+      hdr.datatypeCode = this.DT_UNSIGNED_CHAR;
+      hdr.numBitsPerVoxel = 8;
+      break;
+    case "MET_SHORT":
+      hdr.datatypeCode = this.DT_SIGNED_SHORT;
+      hdr.numBitsPerVoxel = 16;
+      break;
+    case "MET_USHORT":
+      hdr.datatypeCode = this.DT_UINT16;
+      hdr.numBitsPerVoxel = 16;
+      break;
+    case "MET_INT":
+    case "MET_LONG":
+      hdr.datatypeCode = this.DT_SIGNED_INT;
+      hdr.numBitsPerVoxel = 32;
+      break;
+    case "MET_UINT":
+    case "MET_ULONG":
+      hdr.datatypeCode = this.DT_UINT32;
+      hdr.numBitsPerVoxel = 32;
+      break;
+    case "MET_LONG_LONG":
+      hdr.datatypeCode = this.DT_INT64;
+      hdr.numBitsPerVoxel = 64;
+      break;
+    case "MET_FLOAT":
+      hdr.datatypeCode = this.DT_FLOAT;
+      hdr.numBitsPerVoxel = 32;
+      break;
+    case "MET_DOUBLE":
+      hdr.datatypeCode = this.DT_DOUBLE;
+      hdr.numBitsPerVoxel = 64;
+      break;
+    default:
+      throw new Error("Unsupported MetaImage type " + fields["ElementType"]);
+  }
+  let getNumbers = function (keys, defaults) {
+    for (let key of keys) {
+      if (key in fields) return fields[key].split(/\s+/).map(Number);
+    }
+    return defaults;
+  };
+  let nDims = parseInt(fields["NDims"]) || 3;
+  let dimSize = getNumbers(["DimSize"], []);
+  let spacing = getNumbers(["ElementSpacing", "ElementSize"], []);
+  let offset = getNumbers(["Offset", "Position", "Origin"], []);
+  //TransformMatrix lists the direction of each axis in turn
+  let matrix = getNumbers(["TransformMatrix", "Rotation", "Orientation"], []);
+  let dims = [3, 1, 1, 1, 1, 1, 1, 1];
+  for (let i = 0; i < Math.min(nDims, 4); i++) dims[i + 1] = dimSize[i];
+  if (nDims > 3) dims[0] = 4;
+  let nChannels = parseInt(fields["ElementNumberOfChannels"]) || 1;
+  let nBytes =
+    dims[1] *
+    dims[2] *
+    dims[3] *
+    dims[4] *
+    nChannels *
+    (hdr.numBitsPerVoxel / 8);
+  let raw = null;
+  if (pairedImgData) raw = pairedImgData;
+  else if (fields["ElementDataFile"] !== "LOCAL")
+    throw new Error("MetaImage data file not provided");
+  else raw = dataBuffer.slice(pos);
+  let isCompressed = fields["CompressedData"] || "";
+  if (isCompressed.toLowerCase() === "true")
+    raw = pako.inflate(new Uint8Array(raw)).buffer;
+  let skip = parseInt(fields["HeaderSize"]) || 0;
+  if (skip < 0) skip = raw.byteLength - nBytes; //-1: data is at the end of the file
+  raw = raw.slice(skip, skip + nBytes);
+  if (nChannels > 1) {
+    if (hdr.datatypeCode === this.DT_UNSIGNED_CHAR && nChannels === 3) {
+      hdr.datatypeCode = this.DT_RGB;
+      hdr.numBitsPerVoxel = 24;
+    } else if (hdr.datatypeCode === this.DT_UNSIGNED_CHAR && nChannels === 4) {
+      hdr.datatypeCode = this.DT_RGBA32;
+      hdr.numBitsPerVoxel = 32;
+    } else if (dims[4] === 1) {
+      //channels are stored as separate volumes
+      raw = interleavedToPlanar(raw, nChannels, hdr.numBitsPerVoxel / 8);
+      dims[0] = 4;
+      dims[4] = nChannels;
+    } else throw new Error("Multichannel 4D MetaImage not supported");
+  }
+  hdr.dims = dims;
+  hdr.pixDims = [1, 1, 1, 1, 1, 1, 1, 1];
+  let affine = [
+    [1, 0, 0, 0],
+    [0, 1, 0, 0],
+    [0, 0, 1, 0],
+    [0, 0, 0, 1],
+  ];
+  for (let j = 0; j < Math.min(nDims, 3); j++) {
+    let d = spacing[j];
+    if (isNaN(d) || d === 0.0) d = 1.0;
+    hdr.pixDims[j + 1] = d;
+    for (let i = 0; i < Math.min(nDims, 3); i++) {
+      let m =
+        matrix.length === nDims * nDims ? matrix[j * nDims + i] : +(i === j);
+      affine[i][j] = m * d;
+    }
+    affine[j][3] = offset[j] || 0;
+  }
+  if (nDims > 3 && !isNaN(spacing[3])) hdr.pixDims[4] = spacing[3];
+  //ITK world space is LPS, NIfTI is RAS
+  for (let i = 0; i < 2; i++)
+    for (let j = 0; j < 4; j++)
+      if (affine[i][j] !== 0) affine[i][j] = -affine[i][j];
+  hdr.affine = affine;
+  hdr.sform_code = 2;
+  hdr.vox_offset = 0;
+  this.hdr = hdr;
+  return raw;
+}; // readMHA()
+
+// not included in public docs
+// read a .hdr header with its .img data: Analyze 7.5 or a NIfTI-1 pair, return raw image data
+// https://www.mayo.edu/research/documents/analyze75-pdf/doc-20080404
+NVImage.prototype.readHDR = function (dataBuffer, pairedImgData = null) {
+  if (!pairedImgData) throw new Error("Image data (.img) not provided");
+  if (nifti.isCompressed(dataBuffer)) dataBuffer = nifti.decompress(dataBuffer);
+  if (nifti.isCompressed(pairedImgData))
+    pairedImgData = nifti.decompress(pairedImgData);
+  let hdr = new nifti.NIFTI1();
+  hdr.readHeader(dataBuffer);
+  let view = new DataView(dataBuffer);
+  let magic = String.fromCharCode(
+    view.getUint8(344),
+    view.getUint8(345),
+    view.getUint8(346)
+  );
+  if (magic !== "ni1") {
+    //Analyze does not store a spatial transform, and its left-right order is ambiguous
+    log.debug("Analyze header: left-right orientation is uncertain");
+    this.isUncertainLR = true;
+    let origin = [0, 0, 0];
+    for (let i = 0; i < 3; i++)
+      origin[i] = view.getInt16(253 + i * 2, hdr.littleEndian); //SPM originator
+    hdr.qform_code = 0;
+    hdr.sform_code = 0;
+    let affine = [
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+      [0, 0, 0, 1],
+    ];
+    for (let i = 0; i < 3; i++) {
+      let d = Math.abs(hdr.pixDims[i + 1]);
+      if (isNaN(d) || d === 0.0) d = 1.0;
+      hdr.pixDims[i + 1] = d;
+      affine[i][i] = d;
+      //without an origin, the center of the volume is used
+      let o = origin[i];
+      if (o < 1 || o > hdr.dims[i + 1]) o = (hdr.dims[i + 1] + 1) / 2;
+      affine[i][3] = -(o - 1) * d;
+    }
+    hdr.affine = affine;
+    hdr.vox_offset = Math.max(0, hdr.vox_offset || 0);
+  }
+  this.hdr = hdr;
+  return nifti.readImage(hdr, pairedImgData);
+}; // readHDR()
+
+// not included in public docs
+// read AFNI .HEAD attributes with the (optionally gzip compressed) .BRIK data, return raw image data
+// https://afni.nimh.nih.gov/pub/dist/doc/program_help/README.attributes.html
+NVImage.prototype.readHEAD = function (dataBuffer, pairedImgData = null) {
+  if (!pairedImgData) throw new Error("AFNI image data (.BRIK) not provided");
+  if (nifti.isCompressed(pairedImgData))
+    pairedImgData = nifti.decompress(pairedImgData);
+  //each attribute has a "type", "name" and "count" line followed by its values
+  let attrs = {};
+  let lines = new TextDecoder().decode(dataBuffer).split(/\r?\n/);
+  let i = 0;
+  while (i < lines.length) {
+    let type = lines[i].match(/^\s*type\s*=\s*(\S+)/);
+    i++;
+    if (!type || i + 1 >= lines.length) continue;
+    let name = lines[i].match(/^\s*name\s*=\s*(\S+)/);
+    let count = lines[i + 1].match(/^\s*count\s*=\s*(\d+)/);
+    if (!name || !count) continue;
+    i += 2;
+    if (type[1] === "string-attribute") {
+      //strings start with a single quote and end with a tilde
+      let str = lines[i].slice(lines[i].indexOf("'") + 1);
+      while (!str.includes("~") && i + 1 < lines.length)
+        str += "\n" + lines[++i];
+      attrs[name[1]] = str.slice(0, str.indexOf("~"));
+      i++;
+      continue;
+    }
+    let n = parseInt(count[1]);
+    let vals = [];
+    while (vals.length < n && i < lines.length) {
+      let items = lines[i].trim().split(/\s+/);
+      if (items[0] !== "") vals.push(...items.map(Number));
+      i++;
+    }
+    attrs[name[1]] = vals;
+  }
+  if (!("DATASET_DIMENSIONS" in attrs) || !("BRICK_TYPES" in attrs))
+    throw new Error("Not a valid AFNI HEAD file");
+  let hdr = new nifti.NIFTI1();
+  hdr.littleEndian = attrs["BYTEORDER_STRING"] !== "MSB_FIRST";
+  let dims = attrs["DATASET_DIMENSIONS"];
+  let nBricks = 1;
+  if ("DATASET_RANK" in attrs) nBricks = Math.max(1, attrs["DATASET_RANK"][1]);
+  hdr.dims = [nBricks > 1 ? 4 : 3, dims[0], dims[1], dims[2], nBricks, 1, 1, 1];
+  let nvox = dims[0] * dims[1] * dims[2];
+  let types = attrs["BRICK_TYPES"];
+  let facs = attrs["BRICK_FLOAT_FACS"] || [];
+  let scales = [];
+  for (let b = 0; b < nBricks; b++) {
+    let fac = facs[b];
+    scales.push(isNaN(fac) || fac === 0.0 ? 1.0 : fac); //zero means unscaled
+  }
+  let type = types[0];
+  let isMixed = types.slice(0, nBricks).some((t) => t !== type);
+  let isScaled = scales.some((f) => f !== scales[0]);
+  switch (type) {
+    case 0:
+      hdr.datatypeCode = this.DT_UNSIGNED_CHAR;
+      hdr.numBitsPerVoxel = 8;
+      break;
+    case 1:
+      hdr.datatypeCode = this.DT_SIGNED_SHORT;
+      hdr.numBitsPerVoxel = 16;
+      break;
+    case 2:
+      hdr.datatypeCode = this.DT_SIGNED_INT;
+      hdr.numBitsPerVoxel = 32;
+      break;
+    case 3:
+      hdr.datatypeCode = this.DT_FLOAT;
+      hdr.numBitsPerVoxel = 32;
+      break;
+    case 4:
+      hdr.datatypeCode = this.DT_DOUBLE;
+      hdr.numBitsPerVoxel = 64;
+      break;
+    case 6:
+      hdr.datatypeCode = this.DT_RGB;
+      hdr.numBitsPerVoxel = 24;
+      break;
+    default:
+      throw new Error("Unsupported AFNI brick type " + type);
+  }
+  let raw = pairedImgData;
+  if (isMixed || isScaled) {
+    //sub-bricks differ in type or scale factor: convert all to float
+    if (types.some((t) => t > 4))
+      throw new Error("Unsupported AFNI brick types " + types.join(" "));
+    let view = new DataView(pairedImgData);
+    let f32 = new Float32Array(nvox * nBricks);
+    let pos = 0;
+    for (let b = 0; b < nBricks; b++) {
+      let t = types[b];
+      let bytes = [1, 2, 4, 4, 8][t];
+      let read = [
+        (p) => view.getUint8(p),
+        (p) => view.getInt16(p, hdr.littleEndian),
+        (p) => view.getInt32(p, hdr.littleEndian),
+        (p) => view.getFloat32(p, hdr.littleEndian),
+        (p) => view.getFloat64(p, hdr.littleEndian),
+      ][t];
+      for (let v = 0; v < nvox; v++) {
+        f32[b * nvox + v] = read(pos) * scales[b];
+        pos += bytes;
+      }
+    }
+    raw = f32.buffer;
+    hdr.littleEndian = true;
+    hdr.datatypeCode = this.DT_FLOAT;
+    hdr.numBitsPerVoxel = 32;
+  } else {
+    raw = raw.slice(0, nvox * nBricks * (hdr.numBitsPerVoxel / 8));
+    hdr.scl_slope = scales[0];
+  }
+  //voxel to world, AFNI uses DICOM (LPS) coordinates
+  let affine = [
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+    [0, 0, 0, 1],
+  ];
+  if ("IJK_TO_DICOM_REAL" in attrs) {
+    let m = attrs["IJK_TO_DICOM_REAL"];
+    for (let r = 0; r < 3; r++)
+      for (let c = 0; c < 4; c++) affine[r][c] = m[r * 4 + c];
+  } else {
+    //each axis has an orientation code (0=R2L 1=L2R 2=P2A 3=A2P 4=I2S 5=S2I)
+    let orient = attrs["ORIENT_SPECIFIC"] || [0, 3, 4];
+    let origin = attrs["ORIGIN"] || [0, 0, 0];
+    let delta = attrs["DELTA"] || [1, 1, 1];
+    for (let c = 0; c < 3; c++) {
+      let r = Math.floor(orient[c] / 2);
+      affine[r][c] = delta[c];
+      affine[r][3] = origin[c];
+    }
+  }
+  for (let r = 0; r < 2; r++)
+    for (let c = 0; c < 4; c++)
+      if (affine[r][c] !== 0) affine[r][c] = -affine[r][c];
+  hdr.affine = affine;
+  hdr.pixDims = [1, 1, 1, 1, 1, 1, 1, 1];
+  for (let c = 0; c < 3; c++)
+    hdr.pixDims[c + 1] = Math.hypot(affine[0][c], affine[1][c], affine[2][c]);
+  if ("TAXIS_FLOATS" in attrs) {
+    hdr.pixDims[4] = attrs["TAXIS_FLOATS"][1];
+    let units = "TAXIS_NUMS" in attrs ? attrs["TAXIS_NUMS"][2] : 0;
+    if (units === 77001) hdr.pixDims[4] /= 1000; //msec
+  }
+  hdr.sform_code = 1;
+  hdr.vox_offset = 0;
+  this.hdr = hdr;
+  return raw;
+}; // readHEAD()
+
+// not included in public docs
+// DICOM tags needed to assemble a series, keyed by group and element
+const DICOM_TAGS = {
+  0x00020010: "TransferSyntaxUID",
+  0x00180050: "SliceThickness",
+  0x00180080: "RepetitionTime",
+  0x00180088: "SpacingBetweenSlices",
+  0x0020000e: "SeriesInstanceUID",
+  0x00200013: "InstanceNumber",
+  0x00200032: "ImagePositionPatient",
+  0x00200037: "ImageOrientationPatient",
+  0x00280002: "SamplesPerPixel",
+  0x00280006: "PlanarConfiguration",
+  0x00280008: "NumberOfFrames",
+  0x00280010: "Rows",
+  0x00280011: "Columns",
+  0x00280030: "PixelSpacing",
+  0x00280100: "BitsAllocated",
+  0x00280103: "PixelRepresentation",
+  0x00281052: "RescaleIntercept",
+  0x00281053: "RescaleSlope",
+};
+
+// not included in public docs
+// DICOM tags with unsigned short (US) values, all others are read as strings
+const DICOM_US_TAGS = [
+  "SamplesPerPixel",
+  "PlanarConfiguration",
+  "Rows",
+  "Columns",
+  "BitsAllocated",
+  "PixelRepresentation",
+];
+
+// not included in public docs
+// parse the tags of one uncompressed DICOM file, returns null for other files
+// https://dicom.nema.org/medical/dicom/current/output/html/part05.html
+function parseDICOM(buffer) {
+  let view = new DataView(buffer);
+  let pos = 132;
+  let isDICM =
+    buffer.byteLength > 132 &&
+    String.fromCharCode(
+      view.getUint8(128),
+      view.getUint8(129),
+      view.getUint8(130),
+      view.getUint8(131)
+    ) === "DICM";
+  if (!isDICM) {
+    //files without a preamble must start with a group 0002 or 0008 tag
+    if (buffer.byteLength < 8) return null;
+    let group = view.getUint16(0, true);
+    if (group !== 0x0002 && group !== 0x0008) return null;
+    pos = 0;
+  }
+  let tags = {};
+  let pixelData = null;
+  let littleEndian = true;
+  let isExplicit = isDICM;
+  let longVRs = [
+    "OB",
+    "OD",
+    "OF",
+    "OL",
+    "OV",
+    "OW",
+    "SQ",
+    "SV",
+    "UC",
+    "UN",
+    "UR",
+    "UT",
+    "UV",
+  ];
+  //returns the position after the element, or -1 at an item or sequence delimiter
+  let readElement = function (depth) {
+    let group = view.getUint16(pos, littleEndian);
+    let element = view.getUint16(pos + 2, littleEndian);
+    pos += 4;
+    if (group === 0xfffe) {
+      //item (E000), item delimiter (E00D) or sequence delimiter (E0DD)
+      let len = view.getUint32(pos, littleEndian);
+      pos += 4;
+      if (element === 0xe000 && len !== 0xffffffff) pos += len;
+      else if (element === 0xe000) readUntilDelimiter(depth + 1);
+      return element === 0xe000 ? pos : -1;
+    }
+    let vr = "";
+    let len = 0;
+    //the file meta information (group 0002) is always explicit little endian
+    let isMeta = group === 0x0002;
+    let le = isMeta ? true : littleEndian;
+    if (isMeta || isExplicit) {
+      vr = String.fromCharCode(view.getUint8(pos), view.getUint8(pos + 1));
+      if (longVRs.includes(vr)) {
+        len = view.getUint32(pos + 4, le);
+        pos += 8;
+      } else {
+        len = view.getUint16(pos + 2, le);
+        pos += 4;
+      }
+    } else {
+      len = view.getUint32(pos, le);
+      pos += 4;
+    }
+    let tag = group * 0x10000 + element;
+    if (tag === 0x7fe00010 && depth === 0) {
+      if (len === 0xffffffff)
+        throw new Error(
+          "Compressed (encapsulated) DICOM pixel data not supported"
+        );
+      pixelData = { offset: pos, length: len };
+      pos += len;
+      return pos;
+    }
+    if (len === 0xffffffff) {
+      //sequence of undefined length
+      readUntilDelimiter(depth + 1);
+      return pos;
+    }
+    if (depth === 0 && tag in DICOM_TAGS) {
+      let name = DICOM_TAGS[tag];
+      if (DICOM_US_TAGS.includes(name)) {
+        tags[name] = view.getUint16(pos, le);
+      } else {
+        let str = "";
+        for (let i = 0; i < len; i++)
+          str += String.fromCharCode(view.getUint8(pos + i));
+        tags[name] = str.replace(/[\0\s]+$/, "").trim();
+      }
+    }
+    pos += len;
+    return pos;
+  };
+  let readUntilDelimiter = function (depth) {
+    while (pos + 8 <= buffer.byteLength) {
+      if (readElement(depth) < 0) return;
+    }
+  };
+  while (pos + 8 <= buffer.byteLength) {
+    let wasMeta = view.getUint16(pos, true) === 0x0002;
+    readElement(0);
+    if (pixelData) break;
+    if (
+      wasMeta &&
+      pos + 2 <= buffer.byteLength &&
+      view.getUint16(pos, true) !== 0x0002
+    ) {
+      //the transfer syntax applies once the file meta information ends
+      let ts = tags["TransferSyntaxUID"] || "1.2.840.10008.1.2";
+      if (ts === "1.2.840.10008.1.2") isExplicit = false;
+      else if (ts === "1.2.840.10008.1.2.1") isExplicit = true;
+      else if (ts === "1.2.840.10008.1.2.2") {
+        isExplicit = true;
+        littleEndian = false;
+      } else if (ts === "1.2.840.10008.1.2.1.99") {
+        //deflated explicit little endian: inflate the remaining dataset
+        let head = new Uint8Array(buffer, 0, pos);
+        let body = pako.inflateRaw(new Uint8Array(buffer, pos));
+        let merged = new Uint8Array(pos + body.length);
+        merged.set(head);
+        merged.set(body, pos);
+        buffer = merged.buffer;
+        view = new DataView(buffer);
+        isExplicit = true;
+      } else throw new Error("Unsupported DICOM transfer syntax " + ts);
+    }
+  }
+  if (!pixelData) return null;
+  return { tags, pixelData, littleEndian, buffer };
+}
+
+// not included in public docs
+// assemble the slices of a DICOM series into a 3D or 4D volume, return raw image data
+NVImage.prototype.readDICOM = function (dataBuffers) {
+  let slices = [];
+  for (let i = 0; i < dataBuffers.length; i++) {
+    let dcm = null;
+    try {
+      dcm = parseDICOM(dataBuffers[i]);
+    } catch (err) {
+      if (!(err instanceof RangeError)) throw err;
+      log.debug("Not a DICOM file: " + err); //truncated or other file types
+    }
+    if (dcm && dcm.tags.Rows && dcm.tags.Columns) slices.push(dcm);
+  }
+  if (slices.length < 1) throw new Error("No DICOM images found");
+  //keep the series with the most images
+  let counts = {};
+  for (let s of slices) {
+    let uid = s.tags.SeriesInstanceUID || "";
+    counts[uid] = (counts[uid] || 0) + 1;
+  }
+  let uids = Object.keys(counts);
+  if (uids.length > 1) {
+    log.debug(
+      "DICOM files from " + uids.length + " series, loading the largest"
+    );
+    let uid = uids.reduce((a, b) => (counts[b] > counts[a] ? b : a));
+    slices = slices.filter((s) => (s.tags.SeriesInstanceUID || "") === uid);
+  }
+  let numbers = function (str, n, defaultVal) {
+    let vals = (str || "").split("\\").map(parseFloat);
+    for (let i = 0; i < n; i++) if (isNaN(vals[i])) vals[i] = defaultVal[i];
+    return vals.slice(0, n);
+  };
+  let t = slices[0].tags;
+  let nx = t.Columns;
+  let ny = t.Rows;
+  let iop = numbers(t.ImageOrientationPatient, 6, [1, 0, 0, 0, 1, 0]);
+  let pixelSpacing = numbers(t.PixelSpacing, 2, [1, 1]);
+  let normal = [
+    iop[1] * iop[5] - iop[2] * iop[4],
+    iop[2] * iop[3] - iop[0] * iop[5],
+    iop[0] * iop[4] - iop[1] * iop[3],
+  ];
+  for (let s of slices) {
+    s.ipp = numbers(s.tags.ImagePositionPatient, 3, [0, 0, 0]);
+    s.dist = s.ipp[0] * normal[0] + s.ipp[1] * normal[1] + s.ipp[2] * normal[2];
+    s.instance = parseInt(s.tags.InstanceNumber) || 0;
+  }
+  slices.sort((a, b) => a.dist - b.dist || a.instance - b.instance);
+  //repeated positions are volumes of a 4D series
+  let nFrames = Math.max(1, parseInt(t.NumberOfFrames) || 1);
+  let nz = 1;
+  for (let i = 1; i < slices.length; i++)
+    if (Math.abs(slices[i].dist - slices[i - 1].dist) > 1e-4) nz++;
+  let nt = slices.length / nz;
+  if (!Number.isInteger(nt))
+    throw new Error(
+      "DICOM series has a different number of images per slice position"
+    );
+  if (slices.length === 1 && nFrames > 1) nz = nFrames; //multi-frame image
+  let dz =
+    parseFloat(t.SpacingBetweenSlices) || parseFloat(t.SliceThickness) || 1;
+  let sliceVec = normal.map((v) => v * dz);
+  if (nz > 1 && slices.length > 1) {
+    let last = slices[slices.length - 1].ipp;
+    for (let i = 0; i < 3; i++)
+      sliceVec[i] = (last[i] - slices[0].ipp[i]) / (nz - 1);
+    dz = Math.hypot(sliceVec[0], sliceVec[1], sliceVec[2]);
+  }
+  let hdr = new nifti.NIFTI1();
+  hdr.littleEndian = true; //big endian images are swapped as they are copied
+  let bits = t.BitsAllocated || 16;
+  let isSigned = t.PixelRepresentation === 1;
+  let samples = t.SamplesPerPixel || 1;
+  if (samples === 3 && bits === 8) {
+    hdr.datatypeCode = this.DT_RGB;
+  } else if (samples !== 1) {
+    throw new Error("Unsupported DICOM samples per pixel " + samples);
+  } else if (bits === 8) {
+    hdr.datatypeCode = isSigned ? this.DT_INT8 : this.DT_UNSIGNED_CHAR;
+  } else if (bits === 16) {
+    hdr.datatypeCode = isSigned ? this.DT_SIGNED_SHORT : this.DT_UINT16;
+  } else if (bits === 32) {
+    hdr.datatypeCode = isSigned ? this.DT_SIGNED_INT : this.DT_UINT32;
+  } else throw new Error("Unsupported DICOM bits allocated " + bits);
+  hdr.numBitsPerVoxel = bits * samples;
+  let sliceBytes = nx * ny * (hdr.numBitsPerVoxel / 8);
+  let raw = new Uint8Array(sliceBytes * nz * nt);
+  //slices are sorted by position, volumes are stored one after another
+  for (let z = 0; z < slices.length / nt; z++) {
+    for (let v = 0; v < nt; v++) {
+      let s = slices[z * nt + v];
+      let nBytes = Math.min(s.pixelData.length, sliceBytes * nFrames);
+      let src = new Uint8Array(s.buffer, s.pixelData.offset, nBytes);
+      if (!s.littleEndian && bits > 8) {
+        src = src.slice();
+        swapBytes(src.buffer, bits / 8);
+      }
+      //planar RGB (RRR..GGG..BBB) to interleaved (RGBRGB..), each frame has its own planes
+      if (samples === 3 && s.tags.PlanarConfiguration === 1) {
+        let planar = src;
+        src = new Uint8Array(nBytes);
+        for (let f = 0; f + sliceBytes <= nBytes; f += sliceBytes) {
+          let frame = planar.slice(f, f + sliceBytes);
+          src.set(
+            new Uint8Array(interleavedToPlanar(frame.buffer, nx * ny, 1)),
+            f
+          );
+        }
+      }
+      raw.set(src, (v * nz + z) * sliceBytes);
+    }
+  }
+  //rescale slope and intercept may differ between images
+  let slopes = slices.map((s) => parseFloat(s.tags.RescaleSlope));
+  let inters = slices.map((s) => parseFloat(s.tags.RescaleIntercept));
+  slopes = slopes.map((v) => (isNaN(v) || v === 0 ? 1 : v));
+  inters = inters.map((v) => (isNaN(v) ? 0 : v));
+  let isVaryingScale = slopes.some(
+    (v, i) => v !== slopes[0] || inters[i] !== inters[0]
+  );
+  if (isVaryingScale && samples === 1) {
+    let view = new DataView(raw.buffer);
+    let bytes = bits / 8;
+    let read = {
+      [this.DT_INT8]: (p) => view.getInt8(p),
+      [this.DT_UNSIGNED_CHAR]: (p) => view.getUint8(p),
+      [this.DT_SIGNED_SHORT]: (p) => view.getInt16(p, hdr.littleEndian),
+      [this.DT_UINT16]: (p) => view.getUint16(p, hdr.littleEndian),
+      [this.DT_SIGNED_INT]: (p) => view.getInt32(p, hdr.littleEndian),
+      [this.DT_UINT32]: (p) => view.getUint32(p, hdr.littleEndian),
+    }[hdr.datatypeCode];
+    let nxy = nx * ny;
+    let f32 = new Float32Array(nxy * nz * nt);
+    for (let z = 0; z < slices.length / nt; z++) {
+      for (let v = 0; v < nt; v++) {
+        let i = z * nt + v;
+        let vol = (v * nz + z) * nxy;
+        for (let j = 0; j < nxy; j++)
+          f32[vol + j] = read((vol + j) * bytes) * slopes[i] + inters[i];
+      }
+    }
+    raw = new Uint8Array(f32.buffer);
+    hdr.littleEndian = true;
+    hdr.datatypeCode = this.DT_FLOAT;
+    hdr.numBitsPerVoxel = 32;
+  } else {
+    hdr.scl_slope = slopes[0];
+    hdr.scl_inter = inters[0];
+  }
+  hdr.dims = [nt > 1 ? 4 : 3, nx, ny, nz, nt, 1, 1, 1];
+  hdr.pixDims = [1, pixelSpacing[1], pixelSpacing[0], dz, 1, 1, 1, 1];
+  let tr = parseFloat(t.RepetitionTime);
+  if (nt > 1 && tr > 0) {
+    hdr.pixDims[4] = tr / 1000;
+    hdr.xyzt_units = 10; //mm and sec
+  }
+  //columns follow the row direction cosines, rows the column direction cosines
+  let affine = [
+    [
+      iop[0] * pixelSpacing[1],
+      iop[3] * pixelSpacing[0],
+      sliceVec[0],
+      slices[0].ipp[0],
+    ],
+    [
+      iop[1] * pixelSpacing[1],
+      iop[4] * pixelSpacing[0],
+      sliceVec[1],
+      slices[0].ipp[1],
+    ],
+    [
+      iop[2] * pixelSpacing[1],
+      iop[5] * pixelSpacing[0],
+      sliceVec[2],
+      slices[0].ipp[2],
+    ],
+    [0, 0, 0, 1],
+  ];
+  //DICOM patient space is LPS, NIfTI is RAS
+  for (let r = 0; r < 2; r++)
+    for (let c = 0; c < 4; c++)
+      if (affine[r][c] !== 0) affine[r][c] = -affine[r][c];
+  hdr.affine = affine;
+  hdr.sform_code = 1;
+  hdr.vox_offset = 0;
+  this.hdr = hdr;
+  return raw.buffer;
+}; // readDICOM()
+
+// not included in public docs
+// reorder voxel-interleaved components (e.g. vectors) into consecutive volumes
+function interleavedToPlanar(buffer, nComponents, bytesPerComponent) {
+  let nvox = buffer.byteLength / (nComponents * bytesPerComponent);
+  let src = new Uint8Array(buffer);
+  let dst = new Uint8Array(buffer.byteLength);
+  for (let c = 0; c < nComponents; c++)
+    for (let v = 0; v < nvox; v++)
+      for (let b = 0; b < bytesPerComponent; b++)
+        dst[(c * nvox + v) * bytesPerComponent + b] =
+          src[(v * nComponents + c) * bytesPerComponent + b];
+  return dst.buffer;
+}
+
+// not included in public docs
+// NRRD axis kinds that describe space rather than components or time
+function isNRRDSpatialKind(kind) {
+  return ["domain", "space", "???", "none"].includes(kind);
+}
+
+// not included in public docs
+// NIfTI-2 is detected by sizeof_hdr (540), which is stored in either byte order
+function isNIfTI2(dataBuffer) {
+  if (dataBuffer.byteLength < 540) return false;
+  let view = new DataView(dataBuffer);
+  return view.getInt32(0, true) === 540 || view.getInt32(0, false) === 540;
+}
+
+// not included in public docs
+// read a NIfTI-2 header into the same shape as a NIfTI-1 header
+// https://nifti.nimh.nih.gov/pub/dist/doc/nifti2.h
+function readNIfTI2Header(dataBuffer) {
+  let hdr = new nifti.NIFTI2();
+  hdr.readHeader(dataBuffer);
+  //nifti-reader-js ignores byte order for 64-bit integers: read them again
+  let view = new DataView(dataBuffer);
+  let getInt64 = function (offset) {
+    return Number(view.getBigInt64(offset, hdr.littleEndian));
+  };
+  for (let i = 0; i < 8; i++) hdr.dims[i] = getInt64(16 + i * 8);
+  hdr.vox_offset = getInt64(168);
+  hdr.slice_start = getInt64(224);
+  hdr.slice_end = getInt64(232);
+  return hdr;
+}
+
+// not included in public docs
+// convert big-endian data to the native little-endian byte order, in place
+function swapBytes(buffer, bytesPerComponent) {
+  if (bytesPerComponent < 2) return;
+  let bytes = new Uint8Array(buffer);
+  let n = bytes.length - (bytes.length % bytesPerComponent);
+  let half = bytesPerComponent / 2;
+  for (let i = 0; i < n; i += bytesPerComponent) {
+    for (let j = 0; j < half; j++) {
+      let k = i + bytesPerComponent - 1 - j;
+      let tmp = bytes[i + j];
+      bytes[i + j] = bytes[k];
+      bytes[k] = tmp;
+    }
+  }
+}
+
 NVImage.prototype.calculateOblique = function () {
   let LPI = this.vox2mm([0.0, 0.0, 0.0], this.matRAS);
   let X1mm = this.vox2mm([1.0 / this.pixDimsRAS[1], 0.0, 0.0], this.matRAS);
@@ -282,6 +1413,16 @@ NVImage.prototype.calculateRAS = function () {
   // not elegant, as JavaScript arrays are always 1D
   let a = this.hdr.affine;
   let header = this.hdr;
+  //number of volumes in a 4D image, e.g. time points
+  let nVox3D = header.dims[1] * header.dims[2] * header.dims[3];
+  let nChannels = 1;
+  if (header.datatypeCode === this.DT_RGB) nChannels = 3;
+  if (header.datatypeCode === this.DT_RGBA32) nChannels = 4;
+  this.nVox3D = nVox3D;
+  this.nFrame4D = Math.max(
+    1,
+    Math.floor(this.img.length / (nVox3D * nChannels))
+  );
   let absR = mat.mat3.fromValues(
     Math.abs(a[0][0]),
     Math.abs(a[0][1]),
@@ -629,6 +1770,7 @@ NVImage.prototype.intensityRaw2Scaled = function (hdr, raw) {
  * @param {number} [percentileFrac=0.02] the percentile to use for setting the robust range of the display values (smart intensity setting for images with large ranges)
  * @param {boolean} [ignoreZeroVoxels=false] whether or not to ignore zero voxels in setting the robust range of display values
  * @param {boolean} [visible=true] whether or not this image is to be visible
+ * @param {string} [urlImgData=''] the URL of the image data for formats with a separate header (by default the .img of a .hdr, or the data file named in a .nhdr or .mhd)
  * @returns {NVImage} returns a NVImage intance
  * @example
  * myImage = NVImage.loadFromUrl('./someURL/image.nii.gz') // must be served from a server (local or remote)
@@ -641,7 +1783,8 @@ NVImage.loadFromUrl = async function (
   trustCalMinMax = true,
   percentileFrac = 0.02,
   ignoreZeroVoxels = false,
-  visible = true
+  visible = true,
+  urlImgData = ""
 ) {
   let response = await fetch(url);
 
@@ -655,6 +1798,19 @@ NVImage.loadFromUrl = async function (
   name = urlParts.slice(-1)[0]; // name will be last part of url (e.g. some/url/image.nii.gz --> image.nii.gz)
 
   let dataBuffer = await response.arrayBuffer();
+  if (urlImgData === "") urlImgData = getPairedImgDataUrl(dataBuffer, url);
+  let pairedImgData = null;
+  if (urlImgData !== "") {
+    let imgResponse = await fetch(urlImgData);
+    if (!imgResponse.ok && NVImage.prototype.getFileExt(url) === "HEAD") {
+      //AFNI BRIK files are often gzip compressed
+      imgResponse = await fetch(urlImgData.replace(/(\?.*)?$/, ".gz$1"));
+    }
+    if (!imgResponse.ok) {
+      throw Error(imgResponse.statusText);
+    }
+    pairedImgData = await imgResponse.arrayBuffer();
+  }
   if (dataBuffer) {
     nvimage = new NVImage(
       dataBuffer,
@@ -664,7 +1820,9 @@ NVImage.loadFromUrl = async function (
       trustCalMinMax,
       percentileFrac,
       ignoreZeroVoxels,
-      visible
+      visible,
+      false,
+      pairedImgData
     );
   } else {
     alert("Unable to load buffer properly from volume");
@@ -673,6 +1831,57 @@ NVImage.loadFromUrl = async function (
   return nvimage;
 };
 
+// not included in public docs
+// for formats with a separate header, return the URL of the image data
+// relative names (e.g. the "data file" of a .nhdr) are resolved from the header URL
+function getPairedImgDataUrl(dataBuffer, url) {
+  let ext = NVImage.prototype.getFileExt(url);
+  let dataFile = "";
+  if (ext === "HDR") {
+    //brain.hdr -> brain.img, BRAIN.HDR.GZ -> BRAIN.IMG.GZ
+    return url.replace(/\.(hdr)((\.gz)?(\?.*)?)$/i, function (m, hdr, tail) {
+      return (hdr === "HDR" ? ".IMG" : ".img") + tail;
+    });
+  } else if (ext === "HEAD") {
+    //brain+orig.HEAD -> brain+orig.BRIK
+    return url.replace(/\.HEAD(\?.*)?$/, ".BRIK$1");
+  } else if (ext === "NHDR") {
+    let txt = new TextDecoder().decode(dataBuffer);
+    let match = txt.match(/^data ?file: *(.+?)\s*$/m);
+    if (match) dataFile = match[1];
+  } else if (ext === "MHD") {
+    let txt = new TextDecoder().decode(dataBuffer);
+    let match = txt.match(/^ElementDataFile *= *(.+?)\s*$/m);
+    if (match && match[1] !== "LOCAL") dataFile = match[1];
+  }
+  if (dataFile === "") return "";
+  if (dataFile.startsWith("LIST") || dataFile.includes(" "))
+    throw new Error("Multiple image data files not supported: " + dataFile);
+  if (/^([a-z]+:)?\//i.test(dataFile)) return dataFile;
+  return url.split("?")[0].replace(/[^/]*$/, "") + dataFile;
+}
+
+// not included in public docs
+// find the image data dropped with a header: the file named like the URL path would load it
+// (e.g. the "data file" of a .nhdr), otherwise the one other dropped file
+NVImage.findPairedImgFile = async function (headerFile, files) {
+  let ext = NVImage.prototype.getFileExt(headerFile.name);
+  let dataBuffer = null;
+  if (ext === "NHDR" || ext === "MHD")
+    dataBuffer = await NVImage.readFileAsync(headerFile);
+  let dataName = getPairedImgDataUrl(dataBuffer, headerFile.name);
+  if (dataName === "") return null;
+  //dropped files have no folder, and AFNI BRIK files are often gzip compressed
+  dataName = dataName.split("/").pop().toLowerCase();
+  let others = Array.from(files).filter((file) => file !== headerFile);
+  for (let i = 0; i < others.length; i++) {
+    let name = others[i].name.toLowerCase();
+    if (name === dataName || name === dataName + ".gz") return others[i];
+  }
+  if (others.length === 1) return others[0];
+  return null;
+};
+
 // not included in public docs
 // loading Nifti files
 NVImage.readFileAsync = function (file) {
@@ -699,6 +1908,7 @@ NVImage.readFileAsync = function (file) {
  * @param {number} [percentileFrac=0.02] the percentile to use for setting the robust range of the display values (smart intensity setting for images with large ranges)
  * @param {boolean} [ignoreZeroVoxels=false] whether or not to ignore zero voxels in setting the robust range of display values
  * @param {boolean} [visible=true] whether or not this image is to be visible
+ * @param {string} [pairedImgFile=null] the file object with the image data for formats with a separate header (e.g. the .img of an Analyze .hdr)
  * @returns {NVImage} returns a NVImage intance
  * @example
  * myImage = NVImage.loadFromFile(SomeFileObject) // files can be from dialogs or drag and drop
@@ -711,11 +1921,15 @@ NVImage.loadFromFile = async function (
   trustCalMinMax = true,
   percentileFrac = 0.02,
   ignoreZeroVoxels = false,
-  visible = true
+  visible = true,
+  pairedImgFile = null
 ) {
   let nvimage = null;
+  if (name === "") name = file.name;
   try {
     let dataBuffer = await this.readFileAsync(file);
+    let pairedImgData = null;
+    if (pairedImgFile) pairedImgData = await this.readFileAsync(pairedImgFile);
     nvimage = new NVImage(
       dataBuffer,
       name,
@@ -724,6 +1938,72 @@ NVImage.loadFromFile = async function (
       trustCalMinMax,
       percentileFrac,
       ignoreZeroVoxels,
+      visible,
+      false,
+      pairedImgData
+    );
+  } catch (err) {
+    log.debug(err);
+  }
+  return nvimage;
+};
+
+/**
+ * check whether files in the browser are DICOM images, from the ".dcm" extension or the "DICM" preamble
+ * @param {array} files the file objects to check
+ * @returns {boolean} true if any of the files is a DICOM image
+ * @example
+ * if (await NVImage.hasDICOMFiles(fileInput.files)) myImage = await NVImage.loadFromDICOMFiles(fileInput.files)
+ */
+NVImage.hasDICOMFiles = async function (files) {
+  files = Array.from(files);
+  for (let i = 0; i < files.length; i++) {
+    if (NVImage.prototype.getFileExt(files[i].name) === "DCM") return true;
+    let preamble = await this.readFileAsync(files[i].slice(128, 132));
+    if (new TextDecoder().decode(preamble) === "DICM") return true;
+  }
+  return false;
+};
+
+/**
+ * factory function to load and return a new NVImage instance from the files of a DICOM series in the browser
+ * @param {array} files the file objects of the series (e.g. the files of a dropped folder), files that are not DICOM images are ignored
+ * @param {string} [name=''] a name for this image. Default is the name of the first file
+ * @param {string} [colorMap='gray'] a color map to use. default is gray
+ * @param {number} [opacity=1.0] the opacity for this image. default is 1
+ * @param {boolean} [trustCalMinMax=true] whether or not to trust cal_min and cal_max from the nifti header (trusting results in faster loading)
+ * @param {number} [percentileFrac=0.02] the percentile to use for setting the robust range of the display values (smart intensity setting for images with large ranges)
+ * @param {boolean} [ignoreZeroVoxels=false] whether or not to ignore zero voxels in setting the robust range of display values
+ * @param {boolean} [visible=true] whether or not this image is to be visible
+ * @returns {NVImage} returns a NVImage intance
+ * @example
+ * myImage = NVImage.loadFromDICOMFiles(fileInput.files) // only uncompressed transfer syntaxes are supported
+ */
+NVImage.loadFromDICOMFiles = async function (
+  files,
+  name = "",
+  colorMap = "gray",
+  opacity = 1.0,
+  trustCalMinMax = true,
+  percentileFrac = 0.02,
+  ignoreZeroVoxels = false,
+  visible = true
+) {
+  let nvimage = null;
+  files = Array.from(files);
+  if (name === "" && files.length > 0) name = files[0].name;
+  try {
+    let dataBuffers = [];
+    for (let i = 0; i < files.length; i++)
+      dataBuffers.push(await this.readFileAsync(files[i]));
+    nvimage = new NVImage(
+      dataBuffers,
+      name,
+      colorMap,
+      opacity,
+      trustCalMinMax,
+      percentileFrac,
+      ignoreZeroVoxels,
       visible
     );
   } catch (err) {
@@ -743,6 +2023,9 @@ NVImage.prototype.clone = function () {
   let clonedImage = new NVImage();
   clonedImage.id = this.id;
   clonedImage.hdr = Object.assign({}, this.hdr);
+  clonedImage.isUncertainLR = this.isUncertainLR;
+  clonedImage.affineXformCode = this.affineXformCode;
+  clonedImage.frame4D = this.frame4D;
   clonedImage.img = this.img.slice();
   clonedImage.calculateRAS();
   clonedImage.calMinMax();
@@ -773,6 +2056,7 @@ NVImage.prototype.zeroImage = function () {
  * @property {number} dz - space between slices
  * @property {number} dt - time between volumes
  * @property {number} bpx - bits per voxel
+ * @property {boolean} isUncertainLR - true if the file format does not record left-right orientation (e.g. Analyze)
  */
 
 /**
@@ -793,6 +2077,7 @@ NVImage.prototype.getImageMetadata = function () {
   const dz = pixDims[3];
   const dt = pixDims[4];
   const bpv = Math.floor(this.hdr.numBitsPerVoxel / 8);
+  const isUncertainLR = this.isUncertainLR;
 
   return {
     id,
@@ -806,6 +2091,7 @@ NVImage.prototype.getImageMetadata = function () {
     dz,
     dt,
     bpv,
+    isUncertainLR,
   };
 };
 /**
@@ -822,6 +2108,156 @@ NVImage.zerosLike = function (nvImage) {
   return zeroClone;
 };
 
+/**
+ * a factory function to make an empty 8-bit label image (e.g. a drawing) with the voxel grid of a reference NVImage
+ * @param {NVImage} nvImage an existing NVImage as a reference
+ * @param {string} [name='drawing'] a name for the new image
+ * @param {string} [colorMap='random'] a color map for the labels, the color of label N is entry N of the color map
+ * @returns {NVImage} returns a new single volume NVImage filled with zeros
+ * @example
+ * myImage = NVImage.loadFromFile(SomeFileObject) // files can be from dialogs or drag and drop
+ * mask = NVImage.labelsLike(myImage)
+ */
+NVImage.labelsLike = function (nvImage, name = "drawing", colorMap = "random") {
+  let labels = new NVImage(null, name, colorMap);
+  let hdr = Object.assign({}, nvImage.hdr);
+  hdr.dims = nvImage.hdr.dims.slice();
+  hdr.dims[0] = 3;
+  for (let i = 4; i < 8; i++) hdr.dims[i] = 1;
+  hdr.pixDims = nvImage.hdr.pixDims.slice();
+  hdr.datatypeCode = labels.DT_UNSIGNED_CHAR;
+  hdr.numBitsPerVoxel = 8;
+  hdr.scl_slope = 1;
+  hdr.scl_inter = 0;
+  hdr.cal_min = 0;
+  hdr.cal_max = 0;
+  hdr.intent_code = 1002; //NIFTI_INTENT_LABEL
+  labels.hdr = hdr;
+  labels.isUncertainLR = nvImage.isUncertainLR;
+  labels.img = new Uint8Array(hdr.dims[1] * hdr.dims[2] * hdr.dims[3]);
+  labels.calculateRAS();
+  labels.calMinMax();
+  return labels;
+}; // labelsLike()
+
+// not included in public docs
+// create a 348 byte NIfTI-1 header (plus 4 byte empty extension) for this image
+// https://nifti.nimh.nih.gov/pub/dist/src/niftilib/nifti1.h
+NVImage.prototype.createNiftiHeader = function () {
+  let hdr = this.hdr;
+  let bytes = new Uint8Array(352);
+  let view = new DataView(bytes.buffer);
+  const isLE = true; //always write native little-endian data
+  let bitpix = this.img.BYTES_PER_ELEMENT * 8;
+  if (hdr.datatypeCode === this.DT_RGB) bitpix = 24;
+  if (hdr.datatypeCode === this.DT_RGBA32) bitpix = 32;
+  function writeString(str, offset, maxLen) {
+    let n = Math.min(str.length, maxLen - 1);
+    for (let i = 0; i < n; i++) bytes[offset + i] = str.charCodeAt(i) & 0xff;
+  }
+  function finiteOr(v, fallback) {
+    return isFinite(v) ? v : fallback;
+  }
+  view.setInt32(0, 348, isLE); //sizeof_hdr
+  bytes[38] = 114; //regular = 'r'
+  bytes[39] = hdr.dim_info || 0;
+  for (let i = 0; i < 8; i++) {
+    let d = hdr.dims[i] === undefined ? 1 : hdr.dims[i];
+    if (d > 32767)
+      throw new Error("dimension " + i + " too large for NIfTI-1: " + d);
+    view.setInt16(40 + i * 2, d, isLE);
+  }
+  view.setFloat32(56, finiteOr(hdr.intent_p1, 0), isLE);
+  view.setFloat32(60, finiteOr(hdr.intent_p2, 0), isLE);
+  view.setFloat32(64, finiteOr(hdr.intent_p3, 0), isLE);
+  view.setInt16(68, hdr.intent_code || 0, isLE);
+  view.setInt16(70, hdr.datatypeCode, isLE);
+  view.setInt16(72, bitpix, isLE);
+  view.setInt16(74, hdr.slice_start || 0, isLE);
+  for (let i = 0; i < 8; i++)
+    view.setFloat32(76 + i * 4, finiteOr(hdr.pixDims[i], 1), isLE);
+  view.setFloat32(108, 352, isLE); //vox_offset
+  view.setFloat32(112, finiteOr(hdr.scl_slope, 1), isLE);
+  view.setFloat32(116, finiteOr(hdr.scl_inter, 0), isLE);
+  view.setInt16(120, hdr.slice_end || 0, isLE);
+  bytes[122] = hdr.slice_code || 0;
+  bytes[123] = hdr.xyzt_units || 0;
+  //save the current display range, so the image reopens with the same contrast
+  let calMax = this.cal_max === undefined ? hdr.cal_max : this.cal_max;
+  let calMin = this.cal_min === undefined ? hdr.cal_min : this.cal_min;
+  view.setFloat32(124, finiteOr(calMax, 0), isLE);
+  view.setFloat32(128, finiteOr(calMin, 0), isLE);
+  view.setFloat32(132, finiteOr(hdr.slice_duration, 0), isLE);
+  view.setFloat32(136, finiteOr(hdr.toffset, 0), isLE);
+  writeString(hdr.description || "", 148, 80);
+  writeString(hdr.aux_file || "", 228, 24);
+  view.setInt16(252, hdr.qform_code || 0, isLE);
+  //the srow are written from hdr.affine, so the sform code describes where it came from
+  view.setInt16(254, this.affineXformCode, isLE);
+  view.setFloat32(256, finiteOr(hdr.quatern_b, 0), isLE);
+  view.setFloat32(260, finiteOr(hdr.quatern_c, 0), isLE);
+  view.setFloat32(264, finiteOr(hdr.quatern_d, 0), isLE);
+  view.setFloat32(268, finiteOr(hdr.qoffset_x, 0), isLE);
+  view.setFloat32(272, finiteOr(hdr.qoffset_y, 0), isLE);
+  view.setFloat32(276, finiteOr(hdr.qoffset_z, 0), isLE);
+  //srow_x, srow_y, srow_z
+  for (let row = 0; row < 3; row++)
+    for (let col = 0; col < 4; col++)
+      view.setFloat32(280 + (row * 4 + col) * 4, hdr.affine[row][col], isLE);
+  writeString(hdr.intent_name || "", 328, 16);
+  writeString("n+1", 344, 4); //magic, single file NIfTI
+  return bytes;
+}; // createNiftiHeader()
+
+/**
+ * convert this image to a NIfTI-1 file stored in memory
+ * @param {boolean} [isCompressed=false] whether or not to gzip compress the result
+ * @returns {Uint8Array} the bytes of a .nii (or .nii.gz) file
+ * @example
+ * myImage = NVImage.loadFromUrl('./someURL/image.nii.gz')
+ * bytes = myImage.toNiftiBuffer(true)
+ */
+NVImage.prototype.toNiftiBuffer = function (isCompressed = false) {
+  let hdrBytes = this.createNiftiHeader();
+  let imgBytes = new Uint8Array(
+    this.img.buffer,
+    this.img.byteOffset,
+    this.img.byteLength
+  );
+  let odata = new Uint8Array(hdrBytes.length + imgBytes.length);
+  odata.set(hdrBytes);
+  odata.set(imgBytes, hdrBytes.length);
+  if (isCompressed) return pako.gzip(odata);
+  return odata;
+}; // toNiftiBuffer()
+
+/**
+ * save this image as a NIfTI-1 file, the browser will download the file
+ * @param {string} [fnm='image.nii'] the file name to save as
+ * @param {boolean} [isCompressed] gzip the file, by default true if the file name ends with '.gz'
+ * @returns {Uint8Array} the bytes of the saved file
+ * @example
+ * myImage = NVImage.zerosLike(someImage)
+ * myImage.saveToDisk('mask.nii.gz')
+ */
+NVImage.prototype.saveToDisk = function (
+  fnm = "image.nii",
+  isCompressed = fnm.toLowerCase().endsWith(".gz")
+) {
+  let odata = this.toNiftiBuffer(isCompressed);
+  let blob = new Blob([odata], { type: "application/octet-stream" });
+  let url = window.URL.createObjectURL(blob);
+  let link = document.createElement("a");
+  link.setAttribute("href", url);
+  link.setAttribute("download", fnm);
+  link.style.visibility = "hidden";
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+  return odata;
+}; // saveToDisk()
+
 String.prototype.getBytes = function () {
   let bytes = [];
   for (var i = 0; i < this.length; i++) {
@@ -831,23 +2267,54 @@ String.prototype.getBytes = function () {
   return bytes;
 };
 
-NVImage.prototype.getValue = function (x, y, z) {
-  const { nx, ny } = this.getImageMetadata();
+/**
+ * get the values of a voxel in every volume of a 4D image, e.g. a time course
+ * @param {number} x column index
+ * @param {number} y row index
+ * @param {number} z slice index
+ * @returns {number[]} one value per volume, empty if the voxel is outside the image
+ * @example
+ * myImage = NVImage.loadFromFile(SomeFileObject) // files can be from dialogs or drag and drop
+ * timeCourse = myImage.getTimeCourse(10, 20, 30)
+ */
+NVImage.prototype.getTimeCourse = function (x, y, z) {
+  const { nx, ny, nz } = this.getImageMetadata();
+  if (x < 0 || y < 0 || z < 0 || x >= nx || y >= ny || z >= nz) return [];
+  let series = [];
+  for (let i = 0; i < this.nFrame4D; i++)
+    series.push(this.getValue(x, y, z, i));
+  return series;
+}; // getTimeCourse()
+
+/**
+ * get the value of a voxel, scaled by the NIfTI slope and intercept
+ * @param {number} x column index
+ * @param {number} y row index
+ * @param {number} z slice index
+ * @param {number} [frame4D=0] volume index for 4D images
+ * @returns {number} the voxel value (luminance for RGB images)
+ * @example
+ * myImage = NVImage.loadFromFile(SomeFileObject) // files can be from dialogs or drag and drop
+ * value = myImage.getValue(10, 20, 30, myImage.frame4D)
+ */
+NVImage.prototype.getValue = function (x, y, z, frame4D = 0) {
+  const { nx, ny, nz } = this.getImageMetadata();
+  let vol = frame4D * nx * ny * nz;
   if (this.hdr.datatypeCode === this.DT_RGBA32) {
-    let vx = 4 * (x + y * nx + z * nx * ny);
+    let vx = 4 * (vol + x + y * nx + z * nx * ny);
     //convert rgb to luminance
     return Math.round(
       this.img[vx] * 0.21 + this.img[vx + 1] * 0.72 + this.img[vx + 2] * 0.07
     );
   }
   if (this.hdr.datatypeCode === this.DT_RGB) {
-    let vx = 3 * (x + y * nx + z * nx * ny);
+    let vx = 3 * (vol + x + y * nx + z * nx * ny);
     //convert rgb to luminance
     return Math.round(
       this.img[vx] * 0.21 + this.img[vx + 1] * 0.72 + this.img[vx + 2] * 0.07
     );
   }
-  let i = this.img[x + y * nx + z * nx * ny];
+  let i = this.img[vol + x + y * nx + z * nx * ny];
   return this.hdr.scl_slope * i + this.hdr.scl_inter;
 };
 
@@ -14,30 +14,60 @@ export var fragRenderShader = `#version 300 es
 precision highp int;
 precision highp float;
 uniform vec3 rayDir;
+uniform bool isPerspective;
+uniform vec3 eyePos;
 uniform vec3 texVox;
 uniform vec3 volScale;
 uniform vec4 clipPlane;
+uniform mat4 clipPlanes; //up to 4 planes for cut-away views, one per column
+uniform int numClipPlanes;
 uniform highp sampler3D volume, overlay;
 uniform float overlays;
 uniform float backOpacity;
 uniform mat4 mvpMtx;
 uniform mat4 matRAS;
+uniform int renderMode;
+uniform bool isGlassBrain;
+uniform highp sampler3D gradient;
+uniform highp sampler3D intensity;
+uniform highp sampler2D colormap;
+uniform vec2 backCalMinMax;
+uniform float numLayers;
+uniform bool isBackColormap;
+uniform int shading;
+uniform vec3 lightDir;
+uniform vec4 lighting;
 in vec3 vColor;
 out vec4 fColor;
-vec3 GetBackPosition(vec3 startPositionTex) {
+vec3 GetRayDir(vec3 startPositionTex) {
+ //orthographic rays are parallel, perspective rays diverge from the eye (both in world space units)
+ if (!isPerspective) return rayDir;
+ vec3 dir = normalize((startPositionTex * volScale) - eyePos);
+ //defuzz, avoid divide by zero
+ return mix(dir, vec3(0.00005), lessThan(abs(dir), vec3(0.00005)));
+}
+vec3 GetBackPosition(vec3 startPositionTex, vec3 rayDirection) {
  //texture space is 0..1 in each dimension, volScale adjusts for relative field of view
  //convert startPosition to world space units:
  vec3 startPosition = startPositionTex * volScale; 
- vec3 invR = 1.0 / rayDir;
+ vec3 invR = 1.0 / rayDirection;
  vec3 tbot = invR * (vec3(0.0)-startPosition);
  vec3 ttop = invR * (volScale-startPosition);
  vec3 tmax = max(ttop, tbot);
  vec2 t = min(tmax.xx, tmax.yz);
- vec3 endPosition = startPosition + (rayDir * min(t.x, t.y));
+ vec3 endPosition = startPosition + (rayDirection * min(t.x, t.y));
  //convert world position back to texture position:
  endPosition = endPosition / volScale;
  return endPosition;
 }
+bool isCutAway(vec3 pos) {
+	//with several clip planes, the region beyond all of them is removed (a single plane is handled by applyClip)
+	if (numClipPlanes < 2) return false;
+	for (int i = 0; i < numClipPlanes; i++) {
+		if ((dot(clipPlanes[i].xyz, pos - 0.5) + clipPlanes[i].a) >= 0.0) return false;
+	}
+	return true;
+}
 vec4 applyClip (vec3 dir, inout vec4 samplePos, inout float len) {
 	float cdot = dot(dir,clipPlane.xyz);
 	if  ((clipPlane.a > 1.0) || (cdot == 0.0)) return samplePos;
@@ -61,6 +91,25 @@ vec4 applyClip (vec3 dir, inout vec4 samplePos, inout float len) {
     }
     return samplePos;
 }
+vec3 applyLighting(vec3 color, vec3 pos, vec3 viewDir) {
+	//gradient texture: direction of increasing intensity (rgb) and its magnitude (a)
+	vec4 grad = texture(gradient, pos);
+	vec3 n = -normalize(grad.rgb * 2.0 - 1.0); //surfaces face away from brighter voxels
+	float diffuse = max(dot(n, lightDir), 0.0);
+	float specular = 0.0;
+	if (shading == 2) //Blinn: half-way vector between the light and the viewer
+		specular = max(dot(n, normalize(lightDir - viewDir)), 0.0);
+	else //Phong: light reflected towards the viewer
+		specular = max(dot(reflect(-lightDir, n), -viewDir), 0.0);
+	vec3 lit = color * (lighting.x + lighting.y * diffuse) + lighting.z * pow(specular, lighting.w);
+	//homogeneous regions have no surface to light
+	return mix(color, lit, smoothstep(0.0, 0.05, grad.a));
+}
+float getIntensity(vec3 pos) {
+	//raw intensity of the background: the 32 bits of the float are stored in the 4 bytes of the texture
+	uvec4 bytes = uvec4(round(texture(intensity, pos) * 255.0));
+	return uintBitsToFloat((bytes.r << 24) | (bytes.g << 16) | (bytes.b << 8) | bytes.a);
+}
 float frac2ndc(vec3 frac) {
 //https://stackoverflow.com/questions/7777913/how-to-render-depth-linearly-in-modern-opengl-with-gl-fragcoord-z-in-fragment-sh
 	vec4 pos = vec4(frac.xyz, 1.0); //fraction
@@ -69,7 +118,8 @@ float frac2ndc(vec3 frac) {
 	vec4 shim = vec4(-0.5, -0.5, -0.5, 0.0);
 	pos += shim;
 	vec4 mm = transpose(matRAS) * pos;
-	float z_ndc = (mvpMtx * vec4(mm.xyz, 1.0)).z;
+	vec4 clipSpace = mvpMtx * vec4(mm.xyz, 1.0);
+	float z_ndc = clipSpace.z / clipSpace.w; //w is 1 for orthographic projection
 	return (z_ndc + 1.0) / 2.0;
 	
 }
@@ -81,7 +131,8 @@ void main() {
 	// return;
 	vec3 start = vColor;
 	gl_FragDepth = 0.5;
-	vec3 backPosition = GetBackPosition(start);
+	vec3 rayDirection = GetRayDir(start);
+	vec3 backPosition = GetBackPosition(start, rayDirection);
 	// fColor = vec4(backPosition, 1.0); return;
   vec3 dir = backPosition - start;
   float len = length(dir);
@@ -97,56 +148,112 @@ void main() {
 	vec4 samplePos = vec4(start.xyz, 0.0); //ray position
 	float lenNoClip = len;
 	vec4 clipPos = applyClip(dir, samplePos, len);
-	//start: OPTIONAL fast pass: rapid traversal until first hit
-	float stepSizeFast = sliceSize * 1.9;
-	vec4 deltaDirFast = vec4(dir.xyz * stepSizeFast, stepSizeFast);
-	while (samplePos.a <= len) {
-		float val = texture(volume, samplePos.xyz).a;
-		if (val > 0.01) break;
-		samplePos += deltaDirFast; //advance ray position
-	}
-	// fColor = vec4(1.0, 0.0, 0.0, 1.0);
-	if ((samplePos.a > len) && (overlays < 1.0)) {
-		gl_FragDepth = frac2ndc(samplePos.xyz);
-		return;
-	}
-	//gl_FragDepth = frac2ndc(samplePos.xyz); //crude due to fast pass resolution
-	samplePos -= deltaDirFast;
-	if (samplePos.a < 0.0)
-		vec4 samplePos = vec4(start.xyz, 0.0); //ray position
-	//end: fast pass
-	vec4 colAcc = vec4(0.0,0.0,0.0,0.0);
-	vec4 firstHit = colAcc;
+	float stepSizeFast;
+	vec4 deltaDirFast;
+	vec4 colAcc;
 	const float earlyTermination = 0.95;
 	float backNearest = len; //assume no hit
 	float ran = fract(sin(gl_FragCoord.x * 12.9898 + gl_FragCoord.y * 78.233) * 43758.5453);
-	samplePos += deltaDir * ran; //jitter ray
-	while (samplePos.a <= len) {
-		vec4 colorSample = texture(volume, samplePos.xyz);
-		samplePos += deltaDir; //advance ray position
-		if (colorSample.a < 0.01) continue;
-		if (firstHit.a == 0.0)
-			firstHit = samplePos;
-		backNearest = min(backNearest, samplePos.a);
-		colorSample.a = 1.0-pow((1.0 - colorSample.a), opacityCorrection);
-		colorSample.rgb *= colorSample.a;
-		colAcc= (1.0 - colAcc.a) * colorSample + colAcc;
-		if ( colAcc.a > earlyTermination )
-			break;
+	if (renderMode > 0) {
+		//projection: maximum (1), minimum (2) or average (3) intensity along the ray
+		//every sample within the volume counts, ranked by its raw intensity rather than the displayed color
+		float projIntensity = (renderMode == 2) ? 3.4e38 : -3.4e38;
+		vec4 projColor = vec4(0.0);
+		vec4 projPos = vec4(0.0, 0.0, 0.0, -1.0);
+		vec4 sumColor = vec4(0.0);
+		float nSample = 0.0;
+		float sumIntensity = 0.0;
+		float nIntensity = 0.0;
+		while (samplePos.a <= len) {
+			if (!isCutAway(samplePos.xyz)) {
+				vec4 colorSample = texture(volume, samplePos.xyz);
+				float val = getIntensity(samplePos.xyz);
+				if (projPos.a < 0.0)
+					projPos = samplePos; //first sample, depth of the average
+				sumColor += colorSample;
+				nSample += 1.0;
+				if (!isnan(val)) {
+					sumIntensity += val;
+					nIntensity += 1.0;
+				}
+				if (((renderMode == 1) && (val > projIntensity)) || ((renderMode == 2) && (val < projIntensity))) {
+					projIntensity = val;
+					projColor = colorSample;
+					projPos = samplePos;
+				}
+			}
+			samplePos += deltaDir; //advance ray position
+		}
+		if ((renderMode == 3) && isBackColormap) {
+			//the mean intensity gets the display range and colormap of the background, like a voxel of a 2D slice
+			float mn = min(backCalMinMax.x, backCalMinMax.y);
+			float r = max(0.00001, abs(backCalMinMax.y - backCalMinMax.x));
+			float f = (sumIntensity / max(nIntensity, 1.0) - mn) / r;
+			projColor = texture(colormap, vec2(f, 0.5 / numLayers));
+		} else if (renderMode == 3) //RGB and label backgrounds have no colormap to apply
+			projColor = sumColor / max(nSample, 1.0);
+		if (projPos.a >= 0.0) {
+			gl_FragDepth = frac2ndc(projPos.xyz);
+			backNearest = projPos.a;
+			fColor = vec4(projColor.rgb, backOpacity);
+		} else {
+			//the whole ray is cut away
+			gl_FragDepth = frac2ndc(backPosition);
+			fColor = vec4(0.0);
+		}
+	} else {
+		//start: OPTIONAL fast pass: rapid traversal until first hit
+		stepSizeFast = sliceSize * 1.9;
+		deltaDirFast = vec4(dir.xyz * stepSizeFast, stepSizeFast);
+		while (samplePos.a <= len) {
+			float val = texture(volume, samplePos.xyz).a;
+			if ((val > 0.01) && (!isCutAway(samplePos.xyz))) break;
+			samplePos += deltaDirFast; //advance ray position
+		}
+		// fColor = vec4(1.0, 0.0, 0.0, 1.0);
+		if ((samplePos.a > len) && (overlays < 1.0)) {
+			gl_FragDepth = frac2ndc(samplePos.xyz);
+			return;
+		}
+		//gl_FragDepth = frac2ndc(samplePos.xyz); //crude due to fast pass resolution
+		samplePos -= deltaDirFast;
+		if (samplePos.a < 0.0)
+			vec4 samplePos = vec4(start.xyz, 0.0); //ray position
+		//end: fast pass
+		colAcc = vec4(0.0,0.0,0.0,0.0);
+		vec4 firstHit = colAcc;
+		samplePos += deltaDir * ran; //jitter ray
+		while (samplePos.a <= len) {
+			vec4 colorSample = isCutAway(samplePos.xyz) ? vec4(0.0) : texture(volume, samplePos.xyz);
+			vec3 gradientPos = samplePos.xyz;
+			samplePos += deltaDir; //advance ray position
+			if (colorSample.a < 0.01) continue;
+			if (firstHit.a == 0.0)
+				firstHit = samplePos;
+			backNearest = min(backNearest, samplePos.a);
+			if (shading > 0)
+				colorSample.rgb = clamp(applyLighting(colorSample.rgb, gradientPos, rayDirection), 0.0, 1.0);
+			colorSample.a = 1.0-pow((1.0 - colorSample.a), opacityCorrection);
+			colorSample.rgb *= colorSample.a;
+			colAcc= (1.0 - colAcc.a) * colorSample + colAcc;
+			if ( colAcc.a > earlyTermination )
+				break;
+		}
+		gl_FragDepth = frac2ndc(firstHit.xyz);
+		colAcc.a = (colAcc.a / earlyTermination) * backOpacity;
+		fColor = colAcc;
 	}
-	gl_FragDepth = frac2ndc(firstHit.xyz);
-	colAcc.a = (colAcc.a / earlyTermination) * backOpacity;
-	fColor = colAcc;
 	if (overlays < 1.0) return;
 	//overlay pass
 	len = lenNoClip;
 	samplePos = vec4(start.xyz, 0.0); //ray position
+	clipPos = applyClip(dir, samplePos, len); //overlays are cut by the clip plane like the background
     //start: OPTIONAL fast pass: rapid traversal until first hit
 	stepSizeFast = sliceSize * 1.9;
 	deltaDirFast = vec4(dir.xyz * stepSizeFast, stepSizeFast);
 	while (samplePos.a <= len) {
 		float val = texture(overlay, samplePos.xyz).a;
-		if (val > 0.01) break;
+		if ((val > 0.01) && (!isCutAway(samplePos.xyz))) break;
 		samplePos += deltaDirFast; //advance ray position
 	}
 	if (samplePos.a > len) return;
@@ -158,7 +265,7 @@ void main() {
 	colAcc = vec4(0.0, 0.0, 0.0, 0.0);
 	samplePos += deltaDir * ran; //jitter ray
 	while (samplePos.a <= len) {
-		vec4 colorSample = texture(overlay, samplePos.xyz);
+		vec4 colorSample = isCutAway(samplePos.xyz) ? vec4(0.0) : texture(overlay, samplePos.xyz);
 		samplePos += deltaDir; //advance ray position
 		if (colorSample.a < 0.01) continue;
 		colorSample.a = 1.0-pow((1.0 - colorSample.a), opacityCorrection);
@@ -172,7 +279,8 @@ void main() {
 	float overlayDepth = 0.3;
 	if (fColor.a <= 0.0)
 			overMix = 1.0;
-	else if (((overFarthest) > backNearest)) {
+	else if ((!isGlassBrain) && ((overFarthest) > backNearest)) {
+		//overlays fade with depth beneath the background surface
 		float dx = (overFarthest - backNearest)/1.73;
 		dx = fColor.a * pow(dx, overlayDepth);
 		overMix *= 1.0 - dx;
@@ -278,6 +386,23 @@ void main(void) {
 	gl_Position = vec4(frac, 0.0, 1.0);
 }`;
 
+export var vertThickLineShader = `#version 300 es
+#line 281
+layout(location=0) in vec3 pos;
+uniform vec2 canvasWidthHeight;
+uniform vec4 startXYendXY;
+uniform float thickness;
+void main(void) {
+	//line from start to end with a given thickness, in pixels
+	vec2 dir = normalize(startXYendXY.zw - startXYendXY.xy);
+	vec2 xy = mix(startXYendXY.xy, startXYendXY.zw, pos.x);
+	xy += vec2(-dir.y, dir.x) * thickness * (pos.y - 0.5);
+	//convert pixel x,y space 1..canvasWidth,1..canvasHeight to WebGL 1..-1,-1..1
+	vec2 frac = vec2(xy.x / canvasWidthHeight.x, 1.0 - (xy.y / canvasWidthHeight.y));
+	frac = (frac * 2.0) - 1.0;
+	gl_Position = vec4(frac, 0.0, 1.0);
+}`;
+
 export var vertFontShader = `#version 300 es
 #line 244
 layout(location=0) in vec3 pos;
@@ -352,9 +477,14 @@ uniform lowp sampler3D blend3D;
 uniform float opacity;
 uniform vec3 xyzFrac;
 uniform mat4 mtx;
+uniform bool isIntensity;
 void main(void) {
  vec4 vx = vec4(TexCoord.x, TexCoord.y, coordZ, 1.0) * mtx;
  uint idx = texture(intensityVol, vx.xyz).r;
+ if (isIntensity) { //label as a float, its 32 bits stored in the 4 bytes of the color
+   FragColor = vec4((uvec4(floatBitsToUint(float(idx))) >> uvec4(24, 16, 8, 0)) & uvec4(255)) / 255.0;
+   return;
+ }
  FragColor = vec4(0.0, 0.0, 0.0, 0.0);
  if (idx == uint(0))
    return;
@@ -405,9 +535,14 @@ uniform highp sampler2D colormap;
 uniform lowp sampler3D blend3D;
 uniform float opacity;
 uniform mat4 mtx;
+uniform bool isIntensity;
 void main(void) {
  vec4 vx = vec4(TexCoord.xy, coordZ, 1.0) * mtx;
  float f = (scl_slope * float(texture(intensityVol, vx.xyz).r)) + scl_inter;
+ if (isIntensity) { //raw intensity, its 32 bits stored in the 4 bytes of the color
+   FragColor = vec4((uvec4(floatBitsToUint(f)) >> uvec4(24, 16, 8, 0)) & uvec4(255)) / 255.0;
+   return;
+ }
  float r = max(0.00001, abs(cal_max - cal_min));
  float mn = min(cal_min, cal_max);
  f = mix(0.0, 1.0, (f - mn) / r);
@@ -444,10 +579,16 @@ uniform lowp sampler3D blend3D;
 uniform float opacity;
 uniform mat4 mtx;
 uniform bool hasAlpha;
+uniform bool isIntensity;
 void main(void) {
  vec4 vx = vec4(TexCoord.xy, coordZ, 1.0) * mtx;
  uvec4 aColor = texture(intensityVol, vx.xyz);
  FragColor = vec4(float(aColor.r) / 255.0, float(aColor.g) / 255.0, float(aColor.b) / 255.0, float(aColor.a) / 255.0);
+ if (isIntensity) { //luminance, its 32 bits stored in the 4 bytes of the color
+   float f = FragColor.r * 0.21 + FragColor.g * 0.72 + FragColor.b * 0.07;
+   FragColor = vec4((uvec4(floatBitsToUint(f)) >> uvec4(24, 16, 8, 0)) & uvec4(255)) / 255.0;
+   return;
+ }
  if (!hasAlpha)
    FragColor.a = (FragColor.r * 0.21 + FragColor.g * 0.72 + FragColor.b * 0.07);
  FragColor.a *= opacity;
@@ -475,6 +616,27 @@ void main(void) {
  FragColor = texture(in3D, vec3(TexCoord.xy, coordZ));
 }`;
 
+export var fragGradientShader = `#version 300 es
+precision highp int;
+precision highp float;
+in vec2 TexCoord;
+out vec4 FragColor;
+uniform float coordZ;
+uniform highp sampler3D intensityVol;
+void main(void) {
+ //central differences of the opacity, one voxel each side
+ vec3 vx = vec3(TexCoord.xy, coordZ);
+ vec3 d = 1.0 / vec3(textureSize(intensityVol, 0));
+ vec3 g;
+ g.x = texture(intensityVol, vx + vec3(d.x, 0.0, 0.0)).a - texture(intensityVol, vx - vec3(d.x, 0.0, 0.0)).a;
+ g.y = texture(intensityVol, vx + vec3(0.0, d.y, 0.0)).a - texture(intensityVol, vx - vec3(0.0, d.y, 0.0)).a;
+ g.z = texture(intensityVol, vx + vec3(0.0, 0.0, d.z)).a - texture(intensityVol, vx - vec3(0.0, 0.0, d.z)).a;
+ g *= 0.5;
+ float mag = length(g);
+ vec3 n = (mag > 0.0) ? g / mag : vec3(0.0);
+ FragColor = vec4(n * 0.5 + 0.5, min(mag, 1.0));
+}`;
+
 export var vertSurfaceShader = `#version 300 es
 layout(location=0) in vec3 pos;
 uniform mat4 mvpMtx;
@@ -506,29 +668,48 @@ export var fragVolumePickingShader = `#version 300 es
 precision highp int;
 precision highp float;
 uniform vec3 rayDir;
+uniform bool isPerspective;
+uniform vec3 eyePos;
 uniform vec3 volScale;
 uniform vec3 texVox;
 uniform vec4 clipPlane;
+uniform mat4 clipPlanes;
+uniform int numClipPlanes;
 uniform highp sampler3D volume, overlay;
 uniform float overlays;
 uniform float backOpacity;
 uniform int id;
 in vec3 vColor;
 out vec4 fColor;
-vec3 GetBackPosition(vec3 startPositionTex) {
+vec3 GetRayDir(vec3 startPositionTex) {
+	//orthographic rays are parallel, perspective rays diverge from the eye (both in world space units)
+	if (!isPerspective) return rayDir;
+	vec3 dir = normalize((startPositionTex * volScale) - eyePos);
+	//defuzz, avoid divide by zero
+	return mix(dir, vec3(0.00005), lessThan(abs(dir), vec3(0.00005)));
+}
+vec3 GetBackPosition(vec3 startPositionTex, vec3 rayDirection) {
 	//texture space is 0..1 in each dimension, volScale adjusts for relative field of view
 	//convert startPosition to world space units:
 	vec3 startPosition = startPositionTex * volScale; 
-	vec3 invR = 1.0 / rayDir;
+	vec3 invR = 1.0 / rayDirection;
 	vec3 tbot = invR * (vec3(0.0)-startPosition);
 	vec3 ttop = invR * (volScale-startPosition);
 	vec3 tmax = max(ttop, tbot);
 	vec2 t = min(tmax.xx, tmax.yz);
-	vec3 endPosition = startPosition + (rayDir * min(t.x, t.y));
+	vec3 endPosition = startPosition + (rayDirection * min(t.x, t.y));
 	//convert world position back to texture position:
 	endPosition = endPosition / volScale;
 	return endPosition;
  }
+bool isCutAway(vec3 pos) {
+	//with several clip planes, the region beyond all of them is removed (a single plane is handled by applyClip)
+	if (numClipPlanes < 2) return false;
+	for (int i = 0; i < numClipPlanes; i++) {
+		if ((dot(clipPlanes[i].xyz, pos - 0.5) + clipPlanes[i].a) >= 0.0) return false;
+	}
+	return true;
+}
 vec4 applyClip (vec3 dir, inout vec4 samplePos, inout float len) {
 	float cdot = dot(dir,clipPlane.xyz);
 	if  ((clipPlane.a > 1.0) || (cdot == 0.0)) return samplePos;
@@ -554,7 +735,8 @@ vec4 applyClip (vec3 dir, inout vec4 samplePos, inout float len) {
 }
 void main() {
 	vec3 start = vColor;
-	vec3 backPosition = GetBackPosition(start);
+	vec3 rayDirection = GetRayDir(start);
+	vec3 backPosition = GetBackPosition(start, rayDirection);
   vec3 dir = backPosition - start;
   float len = length(dir);
 	float lenVox = length((texVox * start) - (texVox * backPosition));
@@ -573,7 +755,7 @@ void main() {
 	vec4 deltaDirFast = vec4(dir.xyz * stepSizeFast, stepSizeFast);
 	while (samplePos.a <= len) {
 		float val = texture(volume, samplePos.xyz).a;
-		if (val > 0.01) {
+		if ((val > 0.01) && (!isCutAway(samplePos.xyz))) {
 			fColor = vec4(samplePos.rgb, float(id & 255) / 255.0);
 			return;
 		}
@@ -592,7 +774,7 @@ void main() {
 	deltaDirFast = vec4(dir.xyz * stepSizeFast, stepSizeFast);
 	while (samplePos.a <= len) {
 		float val = texture(overlay, samplePos.xyz).a;
-		if (val > 0.01) break;
+		if ((val > 0.01) && (!isCutAway(samplePos.xyz))) break;
 		samplePos += deltaDirFast; //advance ray position
 	}
 	if (samplePos.a > len) return;
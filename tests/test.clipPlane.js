@@ -0,0 +1,71 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('clipPlane', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+    var volumeList = [
+      {
+        url: "../images/hippo.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "hippo",
+        colorMap: "gray",
+        opacity: 1,
+        visible: true,
+      },
+    ]
+    await nv.loadVolumes(volumeList)
+    nv.setSliceType(nv.sliceTypeRender)
+    let uniforms = () => ({
+      clipPlane: Array.from(nv.gl.getUniform(nv.renderShader.program, nv.renderShader.uniforms["clipPlane"])),
+      numClipPlanes: nv.gl.getUniform(nv.renderShader.program, nv.renderShader.uniforms["numClipPlanes"]),
+    })
+    let pixels = () => {
+      nv.drawScene()
+      let gl = nv.gl
+      let rgba = new Uint8Array(gl.drawingBufferWidth * gl.drawingBufferHeight * 4)
+      gl.readPixels(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight, gl.RGBA, gl.UNSIGNED_BYTE, rgba)
+      return rgba
+    }
+    let differ = (a, b) => a.some((v, i) => v !== b[i])
+    let unclipped = pixels()
+    nv.setClipPlane([0.1, 90, 0])
+    let single = uniforms()
+    nv.setClipPlane([0, 90, 0])
+    let onePlane = pixels()
+    nv.setClipPlanes([[0, 90, 0], [0, 180, 0]])
+    let multiple = uniforms()
+    let twoPlanes = pixels()
+    nv.setClipPlanes([])
+    let none = uniforms()
+    let error = ""
+    try {
+      nv.setClipPlanes([[0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, 0]])
+    } catch (e) {
+      error = e.message
+    }
+    return {
+      single,
+      multiple,
+      none,
+      error,
+      onePlaneChanged: differ(unclipped, onePlane),
+      twoPlanesChanged: differ(unclipped, twoPlanes),
+      planesDiffer: differ(onePlane, twoPlanes),
+    }
+  })
+  expect(result.single.numClipPlanes).toBe(0)
+  expect(result.single.clipPlane[0]).toBeCloseTo(1, 5)
+  expect(result.single.clipPlane[3]).toBeCloseTo(0.1, 5)
+  expect(result.multiple.numClipPlanes).toBe(2)
+  expect(result.multiple.clipPlane).toEqual([0, 0, 0, 0])
+  expect(result.none.numClipPlanes).toBe(0)
+  // one plane removes half of the volume and two planes only the quarter beyond both
+  expect(result.onePlaneChanged).toBe(true)
+  expect(result.twoPlanesChanged).toBe(true)
+  expect(result.planesDiffer).toBe(true)
+  expect(result.error).toBe("at most 4 clip planes can be used at once")
+})
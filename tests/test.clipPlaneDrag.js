@@ -0,0 +1,47 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('clipPlaneDrag', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+    var volumeList = [
+      {
+        // unlike hippo, the center of this image is not empty
+        url: "../images/ct_perfusion.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "ct_perfusion",
+        colorMap: "gray",
+        opacity: 1,
+        visible: true,
+      },
+    ]
+    await nv.loadVolumes(volumeList)
+    nv.setSliceType(nv.sliceTypeRender)
+    // a plane through the center facing along the view cuts away the near half, so its cut face is at the center of the canvas
+    nv.setClipPlane([0, nv.scene.renderAzimuth, nv.scene.renderElevation])
+    let rect = nv.canvas.getBoundingClientRect()
+    let x = rect.left + rect.width / 2
+    let y = rect.top + rect.height / 2
+    let mouse = (type, clientY) =>
+      nv.canvas.dispatchEvent(new MouseEvent(type, { clientX: x, clientY, button: 0 }))
+    let azimuthBefore = nv.scene.renderAzimuth
+    mouse("mousedown", y)
+    let isDragging = nv.clipPlaneDragStart !== null
+    mouse("mousemove", y + rect.height / 10)
+    mouse("mouseup", y + rect.height / 10)
+    return {
+      isDragging,
+      depth: nv.scene.clipPlaneDepthAziElevs[0][0],
+      rotated: nv.scene.renderAzimuth !== azimuthBefore,
+      isDraggingAfter: nv.clipPlaneDragStart !== null,
+    }
+  })
+  expect(result.isDragging).toBe(true)
+  // a tenth of the canvas height moves the plane a tenth of the way through the volume
+  expect(result.depth).toBeCloseTo(Math.sqrt(3) / 10, 2)
+  expect(result.rotated).toBe(false)
+  expect(result.isDraggingAfter).toBe(false)
+})
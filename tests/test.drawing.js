@@ -0,0 +1,54 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('drawing', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+    var volumeList = [
+      {
+        url: "../images/hippo.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "hippo",
+        colorMap: "gray",
+        opacity: 1,
+        visible: true,
+      },
+    ]
+    await nv.loadVolumes(volumeList)
+    nv.setSliceType(nv.sliceTypeAxial)
+    nv.setDrawingEnabled(true)
+    let drawing = nv.drawingVolume
+    let count = (value) => drawing.img.filter((v) => v === value).length
+    // click the middle of the axial slice with a 3x3 pen
+    let ltwh = nv.screenSlices[0].leftTopWidthHeight
+    let x = ltwh[0] + ltwh[2] * 0.5
+    let y = ltwh[1] + ltwh[3] * 0.5
+    nv.setPenValue(2, 3)
+    nv.mouseClick(x, y)
+    let painted = count(2)
+    // a pen size of 1 erases a single voxel
+    nv.setPenValue(0, 1)
+    nv.mouseClick(x, y)
+    nv.mouseUpListener()
+    let afterErase = count(2)
+    let bytes = drawing.toNiftiBuffer()
+    return {
+      nLayers: nv.volumes.length,
+      datatypeCode: drawing.hdr.datatypeCode,
+      dims: drawing.hdr.dims.slice(1, 4),
+      backDims: nv.volumes[0].hdr.dims.slice(1, 4),
+      painted,
+      afterErase,
+      nBytes: bytes.length,
+    }
+  })
+  expect(result.nLayers).toBe(2)
+  expect(result.datatypeCode).toBe(2)
+  expect(result.dims).toEqual(result.backDims)
+  expect(result.painted).toBe(9)
+  expect(result.afterErase).toBe(8)
+  expect(result.nBytes).toBe(352 + result.dims[0] * result.dims[1] * result.dims[2])
+})
@@ -0,0 +1,38 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('dropPairedFiles', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+    let nifti = await niivue.NVImage.loadFromUrl("../images/hippo.nii.gz")
+    let fetchFile = async (name) => {
+      let response = await fetch("../images/" + name)
+      return new File([await response.arrayBuffer()], name)
+    }
+    let drop = async (names) => {
+      let dataTransfer = new DataTransfer()
+      for (let name of names) dataTransfer.items.add(await fetchFile(name))
+      nv.volumes = []
+      nv.canvas.dispatchEvent(new DragEvent("drop", { dataTransfer }))
+      //the drop listener loads the files asynchronously
+      for (let i = 0; i < 100 && nv.volumes.length < 1; i++)
+        await new Promise((resolve) => setTimeout(resolve, 50))
+      let volume = nv.volumes[0]
+      if (!volume || volume.img.length !== nifti.img.length) return false
+      for (let i = 0; i < nifti.img.length; i++) {
+        if (volume.img[i] !== nifti.img[i]) return false
+      }
+      return true
+    }
+    // the MetaImage header names "hippo.zraw", the data file is dropped first
+    let mhd = await drop(["hippo.zraw", "hippo.mhd"])
+    // the NRRD header names "hippo_nhdr.raw.gz", a different base name
+    let nhdr = await drop(["hippo.nhdr", "hippo_nhdr.raw.gz"])
+    return { mhd, nhdr }
+  })
+  expect(result.mhd).toBe(true)
+  expect(result.nhdr).toBe(true)
+})
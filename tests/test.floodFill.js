@@ -0,0 +1,48 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('floodFill', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+    var volumeList = [
+      {
+        url: "../images/hippo.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "hippo",
+        colorMap: "gray",
+        opacity: 1,
+        visible: true,
+      },
+    ]
+    await nv.loadVolumes(volumeList)
+    let volume = nv.volumes[0]
+    let idx = volume.img.indexOf(9)
+    let x = idx % 91
+    let y = Math.floor(idx / 91) % 109
+    let z = Math.floor(idx / (91 * 109))
+    let a = volume.hdr.affine
+    let mm = [0, 1, 2].map((i) => a[i][0] * x + a[i][1] * y + a[i][2] * z + a[i][3])
+    nv.scene.crosshairPos = nv.mm2frac(mm)
+    let n3D = nv.floodFill({ connectivity: 6 })
+    let drawing = nv.drawingVolume
+    let nPainted = drawing.img.filter((v) => v === 1).length
+    let seedPainted = drawing.img[idx]
+    let allNine = drawing.img.every((v, i) => v === 0 || volume.img[i] === 9)
+    nv.undo()
+    let n2D = nv.floodFill({ connectivity: 26, is2D: true, axCorSag: nv.sliceTypeAxial })
+    let sameSlice = drawing.img.every((v, i) => v === 0 || Math.floor(i / (91 * 109)) === z)
+    let nAll = nv.floodFill({ tolerance: Infinity })
+    return { n3D, nPainted, seedPainted, allNine, n2D, sameSlice, nAll, nVox: volume.img.length }
+  })
+  expect(result.n3D).toBeGreaterThan(1)
+  expect(result.nPainted).toBe(result.n3D)
+  expect(result.seedPainted).toBe(1)
+  expect(result.allNine).toBe(true)
+  expect(result.n2D).toBeGreaterThan(0)
+  expect(result.n2D).toBeLessThan(result.n3D)
+  expect(result.sameSlice).toBe(true)
+  expect(result.nAll).toBe(result.nVox)
+})
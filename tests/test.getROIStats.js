@@ -0,0 +1,62 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('getROIStats', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+    var volumeList = [
+      {
+        url: "../images/hippo.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "hippo",
+        colorMap: "gray",
+        opacity: 1,
+        visible: true,
+      },
+    ]
+    await nv.loadVolumes(volumeList)
+    let volume = nv.volumes[0]
+    // 2x2x2 voxels of 2mm
+    let box = nv.getROIStats(volume.id, { type: "box", min: [11, 11, 11], max: [10, 10, 10] })
+    let sphere = nv.getROIStats(volume.id, { type: "sphere", center: [0, -18, 12], radius: 10 })
+    // two voxels with the value 9 and one with 0
+    let mask = niivue.NVImage.labelsLike(volume)
+    let idx = volume.img.indexOf(9)
+    let fixture = [volume.img[idx], volume.img[idx + 1], volume.img[0]]
+    mask.img[idx] = 1
+    mask.img[idx + 1] = 1
+    mask.img[0] = 1
+    let masked = nv.getROIStats(volume.id, { type: "mask", mask })
+    // a mask on a grid shifted one voxel along x: its voxels idx+1 and idx+2 cover the two voxels with the value 9
+    let shifted = niivue.NVImage.labelsLike(volume)
+    shifted.hdr.affine = volume.hdr.affine.map((row) => row.slice())
+    shifted.hdr.affine[0][3] -= shifted.hdr.affine[0][0]
+    shifted.img[idx + 1] = 1
+    shifted.img[idx + 2] = 1
+    let resampled = nv.getROIStats(volume.id, { type: "mask", mask: shifted })
+    let error = ""
+    try {
+      nv.getROIStats(volume.id, { type: "cylinder" })
+    } catch (e) {
+      error = e.message
+    }
+    return { box, sphere, fixture, masked, resampled, error }
+  })
+  expect(result.box.count).toBe(8)
+  expect(result.box.mm3).toBe(64)
+  // 4/3 * pi * 10^3 mm3 is about 4189 mm3
+  expect(Math.abs(result.sphere.mm3 - 4189)).toBeLessThan(200)
+  expect(result.fixture).toEqual([9, 9, 0])
+  expect(result.masked.count).toBe(3)
+  expect(result.masked.mean).toBe(6)
+  expect(result.masked.median).toBe(9)
+  expect(result.masked.min).toBe(0)
+  expect(result.masked.max).toBe(9)
+  expect(result.masked.sd).toBeCloseTo(Math.sqrt(27), 5)
+  expect(result.resampled.count).toBe(2)
+  expect(result.resampled.mean).toBe(9)
+  expect(result.error).toMatch(/unknown ROI type/)
+})
@@ -0,0 +1,78 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('keyBinding', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue({
+      cycleActiveLayerHotKey: "KeyL",
+      toggleOverlaysHotKey: "KeyO",
+      cycleColormapHotKey: "KeyM",
+      decreaseOpacityHotKey: "BracketLeft",
+    })
+    await nv.attachTo('gl')
+    var volumeList = [
+      {
+        url: "../images/hippo.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "hippo",
+        colorMap: "gray",
+        opacity: 1,
+        visible: true,
+      },
+      {
+        url: "../images/hippo.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "hippo",
+        colorMap: "red",
+        opacity: 0.5,
+        visible: true,
+      },
+    ]
+    await nv.loadVolumes(volumeList)
+    let key = (code, shiftKey = false) =>
+      nv.canvas.dispatchEvent(new KeyboardEvent("keyup", { code, shiftKey }))
+    let dims = nv.volumes[0].dimsRAS
+    let vox = () => nv.scene.crosshairPos.map((frac, i) => Math.round(frac * dims[i + 1] - 0.5))
+    let start = vox()
+    key("PageUp")
+    key("ArrowRight")
+    key("ArrowDown")
+    let moved = vox()
+    key("KeyL")
+    let activeLayer = nv.activeLayer
+    key("BracketLeft")
+    let opacity = nv.volumes[1].opacity
+    key("KeyO")
+    let hidden = nv.volumes[1].opacity
+    key("KeyO")
+    let shown = nv.volumes[1].opacity
+    key("KeyM")
+    let colorMap = nv.volumes[1].colorMap
+    let count = 0
+    nv.registerKeyAction("count", function () { count++ })
+    nv.setKeyBinding("shift+KeyQ", "count")
+    key("KeyQ", true)
+    key("KeyQ")
+    nv.setKeyBinding("KeyL", null)
+    key("KeyL")
+    let activeLayerUnbound = nv.activeLayer
+    nv.opts.cycleActiveLayerHotKey = "KeyK"
+    key("KeyK")
+    let activeLayerRebound = nv.activeLayer
+    nv.opts.toggleOverlaysHotKey = ""
+    key("KeyO")
+    return { start, moved, activeLayer, opacity, hidden, shown, colorMap, count, activeLayerUnbound, activeLayerRebound, opacityAfter: nv.volumes[1].opacity }
+  })
+  expect(result.moved).toEqual([result.start[0] + 1, result.start[1] - 1, result.start[2] + 1])
+  expect(result.activeLayer).toBe(1)
+  expect(result.opacity).toBeCloseTo(0.4, 5)
+  expect(result.hidden).toBe(0)
+  expect(result.shown).toBeCloseTo(0.4, 5)
+  expect(result.colorMap).not.toBe("red")
+  expect(result.count).toBe(1)
+  expect(result.activeLayerUnbound).toBe(1)
+  expect(result.activeLayerRebound).toBe(0)
+  expect(result.opacityAfter).toBeCloseTo(0.4, 5)
+})
@@ -0,0 +1,30 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('loadAFNI', async () => {
+  let result = await page.evaluate(async () => {
+    let nifti = await niivue.NVImage.loadFromUrl("../images/hippo.nii.gz")
+    // two big endian short sub-bricks with scale factors 0.001 and 0.01, gzipped BRIK
+    let afni = await niivue.NVImage.loadFromUrl("../images/hippo+orig.HEAD")
+    let nvox = nifti.img.length
+    let maxDiff = [0, 0]
+    for (let i = 0; i < nvox; i++) {
+      maxDiff[0] = Math.max(maxDiff[0], Math.abs(nifti.img[i] - afni.img[i]))
+      maxDiff[1] = Math.max(maxDiff[1], Math.abs(nifti.img[i] - afni.img[nvox + i]))
+    }
+    return {
+      maxDiff,
+      nVolumes: afni.img.length / nvox,
+      afniDims: Array.from(afni.hdr.dims),
+      niftiAffine: nifti.hdr.affine,
+      afniAffine: afni.hdr.affine
+    }
+  })
+  expect(result.maxDiff[0]).toBeLessThan(0.0001)
+  expect(result.maxDiff[1]).toBeLessThan(0.0001)
+  expect(result.nVolumes).toBe(2)
+  expect(result.afniDims).toEqual([4, 91, 109, 91, 2, 1, 1, 1])
+  expect(result.afniAffine).toEqual(result.niftiAffine)
+})
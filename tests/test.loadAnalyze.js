@@ -0,0 +1,47 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('loadAnalyze', async () => {
+  let result = await page.evaluate(async () => {
+    let nifti = await niivue.NVImage.loadFromUrl("../images/hippo.nii.gz")
+    let analyze = await niivue.NVImage.loadFromUrl(
+      "../images/hippo_analyze.hdr",
+      "",
+      "gray",
+      1.0,
+      true,
+      0.02,
+      false,
+      true,
+      "../images/hippo_analyze.img.gz"
+    )
+    let sameImg = nifti.img.length === analyze.img.length
+    for (let i = 0; i < nifti.img.length; i++) {
+      if (nifti.img[i] !== analyze.img[i]) {
+        sameImg = false
+        break
+      }
+    }
+    return {
+      sameImg,
+      niftiDims: Array.from(nifti.hdr.dims),
+      analyzeDims: Array.from(analyze.hdr.dims),
+      analyzeAffine: analyze.hdr.affine,
+      niftiUncertainLR: nifti.getImageMetadata().isUncertainLR,
+      analyzeUncertainLR: analyze.getImageMetadata().isUncertainLR
+    }
+  })
+  expect(result.sameImg).toBe(true)
+  expect(result.analyzeDims).toEqual(result.niftiDims)
+  // affine from pixdims and the SPM origin (voxel 46,64,37)
+  expect(result.analyzeAffine).toEqual([
+    [2, 0, 0, -90],
+    [0, 2, 0, -126],
+    [0, 0, 2, -72],
+    [0, 0, 0, 1]
+  ])
+  expect(result.niftiUncertainLR).toBe(false)
+  expect(result.analyzeUncertainLR).toBe(true)
+})
@@ -0,0 +1,37 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('loadDICOM', async () => {
+  let result = await page.evaluate(async () => {
+    // file names are not in slice order, and mix implicit, explicit and big endian transfer syntaxes
+    let names = ["IM0001.dcm", "IM0002.dcm", "IM0003.dcm", "IM0004.dcm"]
+    let files = []
+    for (let name of names) {
+      let response = await fetch("../images/dicom/" + name)
+      files.push(new File([await response.arrayBuffer()], name))
+    }
+    let nvimage = await niivue.NVImage.loadFromDICOMFiles(files)
+    // stored values are x + 16 * y + 100 * slice, with a rescale intercept of -1000
+    let sameValues = true
+    for (let z = 0; z < 4; z++)
+      for (let y = 0; y < 12; y++)
+        for (let x = 0; x < 16; x++)
+          if (nvimage.getValue(x, y, z) !== x + 16 * y + 100 * z - 1000) sameValues = false
+    return {
+      sameValues,
+      dims: Array.from(nvimage.hdr.dims),
+      affine: nvimage.hdr.affine
+    }
+  })
+  expect(result.sameValues).toBe(true)
+  expect(result.dims).toEqual([3, 16, 12, 4, 1, 1, 1, 1])
+  // LPS patient coordinates converted to RAS
+  expect(result.affine).toEqual([
+    [-0.75, 0, 0, 10],
+    [0, -0.5, 0, 20],
+    [0, 0, 3, 0],
+    [0, 0, 0, 1]
+  ])
+})
@@ -0,0 +1,28 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('loadMGH', async () => {
+  let result = await page.evaluate(async () => {
+    let nifti = await niivue.NVImage.loadFromUrl("../images/hippo.nii.gz")
+    let mgh = await niivue.NVImage.loadFromUrl("../images/hippo.mgz")
+    let sameImg = nifti.img.length === mgh.img.length
+    for (let i = 0; i < nifti.img.length; i++) {
+      if (nifti.img[i] !== mgh.img[i]) {
+        sameImg = false
+        break
+      }
+    }
+    return {
+      sameImg,
+      niftiDims: Array.from(nifti.hdr.dims),
+      mghDims: Array.from(mgh.hdr.dims),
+      niftiAffine: nifti.hdr.affine,
+      mghAffine: mgh.hdr.affine
+    }
+  })
+  expect(result.sameImg).toBe(true)
+  expect(result.mghDims).toEqual(result.niftiDims)
+  expect(result.mghAffine).toEqual(result.niftiAffine)
+})
@@ -0,0 +1,37 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('loadMetaImage', async () => {
+  let result = await page.evaluate(async () => {
+    let nifti = await niivue.NVImage.loadFromUrl("../images/hippo.nii.gz")
+    // inline zlib compressed data
+    let mha = await niivue.NVImage.loadFromUrl("../images/hippo.mha")
+    // big endian data in a separate .zraw file named by the header
+    let mhd = await niivue.NVImage.loadFromUrl("../images/hippo.mhd")
+    let isSame = function (a, b) {
+      if (a.img.length !== b.img.length) return false
+      for (let i = 0; i < a.img.length; i++) {
+        if (a.img[i] !== b.img[i]) return false
+      }
+      return true
+    }
+    return {
+      mhaImg: isSame(nifti, mha),
+      mhdImg: isSame(nifti, mhd),
+      niftiDims: Array.from(nifti.hdr.dims),
+      mhaDims: Array.from(mha.hdr.dims),
+      mhdDims: Array.from(mhd.hdr.dims),
+      niftiAffine: nifti.hdr.affine,
+      mhaAffine: mha.hdr.affine,
+      mhdAffine: mhd.hdr.affine
+    }
+  })
+  expect(result.mhaImg).toBe(true)
+  expect(result.mhdImg).toBe(true)
+  expect(result.mhaDims).toEqual(result.niftiDims)
+  expect(result.mhdDims).toEqual(result.niftiDims)
+  expect(result.mhaAffine).toEqual(result.niftiAffine)
+  expect(result.mhdAffine).toEqual(result.niftiAffine)
+})
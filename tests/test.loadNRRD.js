@@ -0,0 +1,37 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('loadNRRD', async () => {
+  let result = await page.evaluate(async () => {
+    let nifti = await niivue.NVImage.loadFromUrl("../images/hippo.nii.gz")
+    // attached gzip data in LPS space
+    let nrrd = await niivue.NVImage.loadFromUrl("../images/hippo.nrrd")
+    // detached big endian data in RAS space, data file read from the header
+    let nhdr = await niivue.NVImage.loadFromUrl("../images/hippo.nhdr")
+    let isSame = function (a, b) {
+      if (a.img.length !== b.img.length) return false
+      for (let i = 0; i < a.img.length; i++) {
+        if (a.img[i] !== b.img[i]) return false
+      }
+      return true
+    }
+    return {
+      nrrdImg: isSame(nifti, nrrd),
+      nhdrImg: isSame(nifti, nhdr),
+      niftiDims: Array.from(nifti.hdr.dims),
+      nrrdDims: Array.from(nrrd.hdr.dims),
+      nhdrDims: Array.from(nhdr.hdr.dims),
+      niftiAffine: nifti.hdr.affine,
+      nrrdAffine: nrrd.hdr.affine,
+      nhdrAffine: nhdr.hdr.affine
+    }
+  })
+  expect(result.nrrdImg).toBe(true)
+  expect(result.nhdrImg).toBe(true)
+  expect(result.nrrdDims).toEqual(result.niftiDims)
+  expect(result.nhdrDims).toEqual(result.niftiDims)
+  expect(result.nrrdAffine).toEqual(result.niftiAffine)
+  expect(result.nhdrAffine).toEqual(result.niftiAffine)
+})
@@ -0,0 +1,29 @@
+const { snapshot, httpServerAddress, seconds } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('loadNifti2 matches the same image stored as NIfTI-1', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+    let nii1 = await niivue.NVImage.loadFromUrl("../images/hippo.nii.gz")
+    let nii2 = await niivue.NVImage.loadFromUrl("../images/hippo_nifti2.nii.gz")
+    let isSameImg = nii1.img.length === nii2.img.length
+    for (let i = 0; i < nii1.img.length; i++) {
+      if (nii1.img[i] !== nii2.img[i]) isSameImg = false
+    }
+    return {
+      dims: [nii1.hdr.dims, nii2.hdr.dims],
+      affine: [nii1.hdr.affine.flat(), nii2.hdr.affine.flat()],
+      dimsRAS: [nii1.dimsRAS, nii2.dimsRAS],
+      isSameImg: isSameImg,
+    }
+  })
+  expect(result.isSameImg).toBe(true)
+  expect(result.dims[1]).toEqual(result.dims[0])
+  expect(result.dimsRAS[1]).toEqual(result.dimsRAS[0])
+  for (let i=0; i<result.affine[0].length; i++){
+    expect(result.affine[1][i]).toBeCloseTo(result.affine[0][i])
+  }
+})
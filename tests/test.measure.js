@@ -0,0 +1,56 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('measure', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+    var volumeList = [
+      {
+        url: "../images/hippo.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "hippo",
+        colorMap: "gray",
+        opacity: 1,
+        visible: true,
+      },
+    ]
+    await nv.loadVolumes(volumeList)
+    nv.setSliceType(nv.sliceTypeAxial)
+    let ltwh = nv.screenSlices[0].leftTopWidthHeight
+    let x = ltwh[0] + ltwh[2] * 0.25
+    let y = ltwh[1] + ltwh[3] * 0.25
+    let step = ltwh[2] * 0.25
+    // the image is 91 voxels of 2mm wide
+    let mmPerPixel = (91 * 2) / ltwh[2]
+    nv.setMeasureMode("distance")
+    nv.scene.mouseButtonLeftDown = true
+    nv.measureDown(x, y)
+    nv.measureMove(x + step, y + step)
+    nv.mouseUpListener()
+    nv.setMeasureMode("angle")
+    nv.measureDown(x, y)
+    nv.measureDown(x + step, y)
+    nv.measureDown(x + step, y + step)
+    let measurements = nv.getMeasurements()
+    let crosshairPos = nv.scene.crosshairPos.slice()
+    let removed = nv.removeMeasurement(measurements[0].id)
+    return {
+      expectedLength: Math.SQRT2 * step * mmPerPixel,
+      types: measurements.map((m) => m.type),
+      values: measurements.map((m) => m.value),
+      crosshairPos,
+      removed,
+      remaining: nv.getMeasurements().map((m) => m.type),
+    }
+  })
+  expect(result.types).toEqual(["distance", "angle"])
+  expect(result.values[0]).toBeCloseTo(result.expectedLength, 3)
+  expect(result.values[1]).toBeCloseTo(90, 3)
+  // measuring does not move the crosshair
+  expect(result.crosshairPos).toEqual([0.5, 0.5, 0.5])
+  expect(result.removed).toBe(true)
+  expect(result.remaining).toEqual(["angle"])
+})
@@ -0,0 +1,64 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('mouseMode', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+    var volumeList = [
+      {
+        url: "../images/hippo.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "hippo",
+        colorMap: "gray",
+        opacity: 1,
+        visible: true,
+      },
+    ]
+    await nv.loadVolumes(volumeList)
+    nv.setSliceType(nv.sliceTypeAxial)
+    let ltwh = nv.screenSlices[0].leftTopWidthHeight
+    let rect = nv.canvas.getBoundingClientRect()
+    let clientX = rect.left + ltwh[0] + ltwh[2] * 0.5
+    let clientY = rect.top + ltwh[1] + ltwh[3] * 0.5
+    let mouse = (type, button, dy = 0, shiftKey = false) =>
+      nv.canvas.dispatchEvent(new MouseEvent(type, { button, clientX, clientY: clientY + dy, shiftKey, bubbles: true }))
+    let calls = []
+    nv.registerMouseMode("custom", {
+      down: function () { calls.push("down") },
+      move: function () { calls.push("move") },
+      up: function () { calls.push("up") },
+      wheel: function (x, y, delta) { calls.push(delta < 0 ? "wheelUp" : "wheelDown") },
+    })
+    nv.setMouseMode("custom", "shift+left")
+    nv.setMouseMode("custom", "wheel")
+    mouse("mousedown", 0, 0, true)
+    mouse("mousemove", 0, 10, true)
+    mouse("mouseup", 0, 10, true)
+    nv.canvas.dispatchEvent(new WheelEvent("wheel", { clientX, clientY, deltaY: -100 }))
+    // without shift the left button still moves the crosshair
+    mouse("mousedown", 0)
+    mouse("mouseup", 0)
+    let crosshairPos = nv.scene.crosshairPos.slice()
+    // drag up to zoom in
+    nv.setMouseMode("zoom", "left")
+    mouse("mousedown", 0)
+    mouse("mousemove", 0, -100)
+    mouse("mouseup", 0, -100)
+    let zoom = nv.scene.pan2D[0][2]
+    let error = ""
+    try {
+      nv.setMouseMode("unknown")
+    } catch (e) {
+      error = e.message
+    }
+    return { calls, crosshairPos, zoom, error }
+  })
+  expect(result.calls).toEqual(["down", "move", "up", "wheelUp"])
+  expect(result.crosshairPos[0]).toBeCloseTo(0.5, 1)
+  expect(result.crosshairPos[1]).toBeCloseTo(0.5, 1)
+  expect(result.zoom).toBeGreaterThan(1)
+  expect(result.error).toBe('unknown mouse mode "unknown"')
+})
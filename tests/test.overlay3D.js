@@ -0,0 +1,77 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('overlay3D', async () => {
+  let result = await page.evaluate(async () => {
+    // before attachTo there is no shader yet, the option is applied by init
+    let early = new niivue.Niivue()
+    early.setGlassBrain(true)
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+    var volumeList = [
+      {
+        url: "../images/hippo.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "hippo",
+        colorMap: "gray",
+        opacity: 1,
+        visible: true,
+      },
+      {
+        url: "../images/hippo.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "hippo",
+        colorMap: "red",
+        opacity: 0.5,
+        visible: true,
+      },
+    ]
+    await nv.loadVolumes(volumeList)
+    nv.setSliceType(nv.sliceTypeRender)
+    let uniform = (name) => nv.gl.getUniform(nv.renderShader.program, nv.renderShader.uniforms[name])
+    let pixels = () => {
+      nv.drawScene()
+      let gl = nv.gl
+      let rgba = new Uint8Array(gl.drawingBufferWidth * gl.drawingBufferHeight * 4)
+      gl.readPixels(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight, gl.RGBA, gl.UNSIGNED_BYTE, rgba)
+      return rgba
+    }
+    let differ = (a, b) => a.some((v, i) => v !== b[i])
+    //opacity3D changes the 3D render but not the 2D slices
+    nv.setOpacity3D(1, 0)
+    let renderHidden = pixels()
+    nv.setSliceType(nv.sliceTypeAxial)
+    let axialHidden = pixels()
+    nv.setOpacity3D(1, 0.9)
+    let axialShown = pixels()
+    nv.setSliceType(nv.sliceTypeRender)
+    let renderShown = pixels()
+    nv.setOpacity3D(0, 0.25)
+    let glassBefore = uniform("isGlassBrain")
+    nv.setGlassBrain(true)
+    return {
+      opacity: nv.volumes[1].opacity,
+      opacity3D: nv.volumes[1].opacity3D,
+      backOpacity: uniform("backOpacity"),
+      overlayUnit: uniform("overlay"),
+      hasOverlay3D: nv.gl.isTexture(nv.overlayTexture3D),
+      glassBefore,
+      glass: uniform("isGlassBrain"),
+      earlyGlass: early.opts.isGlassBrain,
+      renderChanged: differ(renderHidden, renderShown),
+      axialChanged: differ(axialHidden, axialShown),
+    }
+  })
+  expect(result.opacity).toBe(0.5)
+  expect(result.opacity3D).toBe(0.9)
+  expect(result.backOpacity).toBeCloseTo(0.25, 5)
+  expect(result.overlayUnit).toBe(7)
+  expect(result.hasOverlay3D).toBe(true)
+  expect(result.glassBefore).toBe(false)
+  expect(result.glass).toBe(true)
+  expect(result.earlyGlass).toBe(true)
+  expect(result.renderChanged).toBe(true)
+  expect(result.axialChanged).toBe(false)
+})
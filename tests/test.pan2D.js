@@ -0,0 +1,53 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('pan2D', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+    var volumeList = [
+      {
+        url: "../images/hippo.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "hippo",
+        colorMap: "gray",
+        opacity: 1,
+        visible: true,
+      },
+    ]
+    await nv.loadVolumes(volumeList)
+    nv.setSliceType(nv.sliceTypeAxial)
+    let tile = nv.screenSlices[0].tileLeftTopWidthHeight
+    let x = tile[0] + tile[2] * 0.3
+    let y = tile[1] + tile[3] * 0.6
+    let before = nv.canvasPos2frac([x, y])
+    // ctrl+wheel zooms about the cursor
+    let rect = nv.canvas.getBoundingClientRect()
+    for (let i = 0; i < 3; i++)
+      nv.canvas.dispatchEvent(new WheelEvent('wheel', {
+        deltaY: -1,
+        ctrlKey: true,
+        clientX: rect.left + x,
+        clientY: rect.top + y,
+      }))
+    let zoom = nv.scene.pan2D[nv.sliceTypeAxial][2]
+    let after = nv.canvasPos2frac([x, y])
+    // clicks map through the zoomed view
+    let center = [tile[0] + tile[2] * 0.5, tile[1] + tile[3] * 0.5]
+    let centerFrac = nv.canvasPos2frac(center)
+    nv.mouseClick(center[0], center[1])
+    let crosshairPos = nv.scene.crosshairPos.slice()
+    nv.resetView()
+    return { before, after, zoom, centerFrac, crosshairPos, reset: nv.scene.pan2D[nv.sliceTypeAxial] }
+  })
+  expect(result.zoom).toBeCloseTo(1.331, 3)
+  expect(result.after[0]).toBeCloseTo(result.before[0], 5)
+  expect(result.after[1]).toBeCloseTo(result.before[1], 5)
+  // the center of the view no longer shows the center of the slice
+  expect(result.centerFrac[0]).not.toBeCloseTo(0.5, 2)
+  expect(result.crosshairPos[0]).toBeCloseTo(result.centerFrac[0], 5)
+  expect(result.crosshairPos[1]).toBeCloseTo(result.centerFrac[1], 5)
+  expect(result.reset).toEqual([0, 0, 1])
+})
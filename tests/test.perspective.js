@@ -0,0 +1,45 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('perspective', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+    var volumeList = [
+      {
+        url: "../images/hippo.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "hippo",
+        colorMap: "gray",
+        opacity: 1,
+        visible: true,
+      },
+    ]
+    await nv.loadVolumes(volumeList)
+    nv.setSliceType(nv.sliceTypeRender)
+    nv.setPerspective(true)
+    let isPerspective = nv.gl.getUniform(nv.renderShader.program, nv.renderShader.uniforms["isPerspective"])
+    let rect = nv.canvas.getBoundingClientRect()
+    let wheel = (deltaY) =>
+      nv.canvas.dispatchEvent(new WheelEvent("wheel", { clientX: rect.left + 10, clientY: rect.top + 10, deltaY }))
+    // dolly towards the volume until the camera stops outside of it
+    for (let i = 0; i < 20; i++) wheel(100)
+    let scale = nv.volScaleMultiplier
+    let error = ""
+    try {
+      nv.setFieldOfView(180)
+    } catch (e) {
+      error = e.message
+    }
+    nv.setPerspective(false)
+    let isOrthographic = !nv.gl.getUniform(nv.renderShader.program, nv.renderShader.uniforms["isPerspective"])
+    return { isPerspective, scale, error, isOrthographic }
+  })
+  expect(result.isPerspective).toBe(true)
+  expect(result.scale).toBeGreaterThan(1)
+  expect(result.scale).toBeLessThan(2)
+  expect(result.error).toBe("field of view must be between 0 and 180 degrees")
+  expect(result.isOrthographic).toBe(true)
+})
@@ -0,0 +1,53 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('play4D', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+    var volumeList = [
+      {
+        url: "../images/hippo_4d.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "hippo_4d",
+        colorMap: "gray",
+        opacity: 1,
+        visible: true,
+      },
+    ]
+    await nv.loadVolumes(volumeList)
+    let id = nv.volumes[0].id
+    let frames = []
+    nv.on('frameChange', (data) => {
+      frames.push(data.frame4D)
+    })
+    let waitUntilPaused = async function () {
+      while (nv.play4DTimer !== null)
+        await new Promise((resolve) => setTimeout(resolve, 50))
+    }
+    // play once to the last of the three frames
+    nv.play4D(id, { fps: 20, loop: false })
+    await waitUntilPaused()
+    let once = frames.splice(0)
+    // reverse direction at the end, stop at the start
+    nv.play4D(id, { fps: 20, loop: false, bounce: true })
+    await waitUntilPaused()
+    let bounce = frames.splice(0)
+    // restricted range, starting from its first frame
+    nv.play4D(id, { fps: 20, loop: false, range: [1, 2] })
+    await waitUntilPaused()
+    let range = frames.splice(0)
+    // looping playback runs until paused
+    nv.play4D(id, { fps: 20 })
+    await new Promise((resolve) => setTimeout(resolve, 500))
+    nv.pause4D()
+    let nLoop = frames.length
+    return { once, bounce, range, nLoop }
+  })
+  expect(result.once).toEqual([1, 2])
+  expect(result.bounce).toEqual([1, 0])
+  expect(result.range).toEqual([1, 2])
+  expect(result.nLoop).toBeGreaterThan(2)
+})
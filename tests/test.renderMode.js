@@ -0,0 +1,55 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('renderMode', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+    var volumeList = [
+      {
+        url: "../images/hippo.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "hippo",
+        colorMap: "gray",
+        opacity: 1,
+        visible: true,
+      },
+    ]
+    await nv.loadVolumes(volumeList)
+    nv.setSliceType(nv.sliceTypeRender)
+    let uniform = () => nv.gl.getUniform(nv.renderShader.program, nv.renderShader.uniforms["renderMode"])
+    let modes = [[nv.opts.renderMode, uniform()]]
+    nv.setRenderMode("mip")
+    modes.push([nv.opts.renderMode, uniform()])
+    //the render mode hot key ignores repeats within the debounce time
+    await new Promise((resolve) => setTimeout(resolve, nv.opts.keyDebounceTime + 1))
+    nv.canvas.dispatchEvent(new KeyboardEvent("keyup", { code: "KeyR" }))
+    modes.push([nv.opts.renderMode, uniform()])
+    nv.setRenderMode("average")
+    modes.push([nv.opts.renderMode, uniform()])
+    //total brightness of the rendered canvas in each mode
+    let brightness = {}
+    for (let mode of ["composite", "mip", "minip", "average"]) {
+      nv.setRenderMode(mode)
+      nv.drawScene()
+      let gl = nv.gl
+      let rgba = new Uint8Array(gl.drawingBufferWidth * gl.drawingBufferHeight * 4)
+      gl.readPixels(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight, gl.RGBA, gl.UNSIGNED_BYTE, rgba)
+      brightness[mode] = rgba.reduce((sum, v, i) => (i % 4 === 3 ? sum : sum + v), 0)
+    }
+    let error = ""
+    try {
+      nv.setRenderMode("xray")
+    } catch (e) {
+      error = e.message
+    }
+    return { modes, brightness, error }
+  })
+  expect(result.modes).toEqual([["composite", 0], ["mip", 1], ["minip", 2], ["average", 3]])
+  expect(result.brightness.mip).not.toBe(result.brightness.composite)
+  expect(result.brightness.mip).toBeGreaterThan(result.brightness.average)
+  expect(result.brightness.average).toBeGreaterThan(result.brightness.minip)
+  expect(result.error).toContain('unknown render mode "xray"')
+})
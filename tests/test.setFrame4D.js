@@ -0,0 +1,47 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('setFrame4D', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+    // three volumes: the hippo image multiplied by 1, 2 and 3
+    var volumeList = [
+      {
+        url: "../images/hippo_4d.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "hippo_4d",
+        colorMap: "gray",
+        opacity: 1,
+        visible: true,
+      },
+    ]
+    await nv.loadVolumes(volumeList)
+    let volume = nv.volumes[0]
+    let idx = volume.img.indexOf(9)
+    let x = idx % 91
+    let y = Math.floor(idx / 91) % 109
+    let z = Math.floor(idx / (91 * 109))
+    let values = []
+    nv.on('location', (data) => {
+      values.push(data.values[0])
+    })
+    let a = volume.hdr.affine
+    let mm = [0, 1, 2].map((i) => a[i][0] * x + a[i][1] * y + a[i][2] * z + a[i][3])
+    nv.scene.crosshairPos = nv.mm2frac(mm)
+    nv.setFrame4D(volume.id, 1)
+    nv.setFrame4D(volume.id, 99) // clamped to the last volume
+    return {
+      nFrame4D: volume.nFrame4D,
+      frame4D: volume.frame4D,
+      values,
+      getValues: [volume.getValue(x, y, z), volume.getValue(x, y, z, 1), volume.getValue(x, y, z, 2)]
+    }
+  })
+  expect(result.nFrame4D).toBe(3)
+  expect(result.frame4D).toBe(2)
+  expect(result.values).toEqual([18, 27])
+  expect(result.getValues).toEqual([9, 18, 27])
+})
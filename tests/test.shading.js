@@ -0,0 +1,60 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('shading', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+    var volumeList = [
+      {
+        url: "../images/hippo.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "hippo",
+        colorMap: "gray",
+        opacity: 1,
+        visible: true,
+      },
+    ]
+    await nv.loadVolumes(volumeList)
+    nv.setSliceType(nv.sliceTypeRender)
+    let uniform = (name) => nv.gl.getUniform(nv.renderShader.program, nv.renderShader.uniforms[name])
+    let shadingBefore = uniform("shading")
+    let pixels = () => {
+      nv.drawScene()
+      let gl = nv.gl
+      let rgba = new Uint8Array(gl.drawingBufferWidth * gl.drawingBufferHeight * 4)
+      gl.readPixels(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight, gl.RGBA, gl.UNSIGNED_BYTE, rgba)
+      return rgba
+    }
+    let unlit = pixels()
+    nv.setShading("phong")
+    let phong = pixels()
+    nv.setShading("blinn")
+    nv.setLighting({ specular: 0.5, shininess: 10 })
+    let error = ""
+    try {
+      nv.setShading("toon")
+    } catch (e) {
+      error = e.message
+    }
+    return {
+      hasGradient: nv.gl.isTexture(nv.gradientTexture),
+      shadingBefore,
+      shading: uniform("shading"),
+      lighting: Array.from(uniform("lighting")),
+      phongChanged: phong.some((v, i) => v !== unlit[i]),
+      error,
+    }
+  })
+  expect(result.hasGradient).toBe(true)
+  expect(result.shadingBefore).toBe(0)
+  expect(result.shading).toBe(2)
+  expect(result.phongChanged).toBe(true)
+  expect(result.lighting[0]).toBeCloseTo(0.4, 5)
+  expect(result.lighting[1]).toBeCloseTo(0.6, 5)
+  expect(result.lighting[2]).toBeCloseTo(0.5, 5)
+  expect(result.lighting[3]).toBeCloseTo(10, 5)
+  expect(result.error).toContain('unknown shading "toon"')
+})
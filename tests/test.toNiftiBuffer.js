@@ -0,0 +1,44 @@
+const { snapshot, httpServerAddress, seconds } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('toNiftiBuffer round trip', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+
+    // load one volume object in an array
+    var volumeList = [
+      {
+        url: "../images/mni152.nii.gz",//"./RAS.nii.gz", "./spm152.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "mni152",
+        colorMap: "gray",
+        opacity: 1,
+        visible: true,
+      },
+    ]
+    await nv.loadVolumes(volumeList)
+    let original = nv.volumes[0]
+    let bytes = original.toNiftiBuffer(true)
+    let copy = new niivue.NVImage(bytes.buffer, "copy.nii.gz")
+    let isSameImg = copy.img.length === original.img.length
+    for (let i = 0; i < original.img.length; i++) {
+      if (copy.img[i] !== original.img[i]) isSameImg = false
+    }
+    return {
+      dims: [copy.hdr.dims, original.hdr.dims],
+      affine: [copy.hdr.affine.flat(), original.hdr.affine.flat()],
+      calMinMax: [[copy.cal_min, copy.cal_max], [original.cal_min, original.cal_max]],
+      isSameImg: isSameImg,
+    }
+  })
+  expect(result.isSameImg).toBe(true)
+  expect(result.dims[0]).toEqual(result.dims[1])
+  for (let i=0; i<result.affine[1].length; i++){
+    expect(result.affine[0][i]).toBeCloseTo(result.affine[1][i])
+  }
+  expect(result.calMinMax[0][0]).toBeCloseTo(result.calMinMax[1][0])
+  expect(result.calMinMax[0][1]).toBeCloseTo(result.calMinMax[1][1])
+})
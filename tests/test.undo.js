@@ -0,0 +1,56 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('undo', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+    var volumeList = [
+      {
+        url: "../images/hippo.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "hippo",
+        colorMap: "gray",
+        opacity: 1,
+        visible: true,
+      },
+    ]
+    await nv.loadVolumes(volumeList)
+    nv.setSliceType(nv.sliceTypeAxial)
+    nv.setDrawingEnabled(true)
+    nv.setPenValue(1, 3)
+    let drawing = nv.drawingVolume
+    let count = () => drawing.img.filter((v) => v > 0).length
+    let ltwh = nv.screenSlices[0].leftTopWidthHeight
+    let y = ltwh[1] + ltwh[3] * 0.5
+    // two strokes
+    nv.mouseClick(ltwh[0] + ltwh[2] * 0.25, y)
+    nv.mouseUpListener()
+    nv.mouseClick(ltwh[0] + ltwh[2] * 0.75, y)
+    nv.mouseUpListener()
+    let counts = [count()]
+    nv.undo()
+    counts.push(count())
+    nv.undo()
+    counts.push(count())
+    let undoEmpty = nv.undo()
+    nv.redo()
+    counts.push(count())
+    // ctrl+z and ctrl+shift+z
+    let canvas = document.getElementById('gl')
+    canvas.dispatchEvent(new KeyboardEvent('keyup', { code: 'KeyZ', ctrlKey: true }))
+    counts.push(count())
+    canvas.dispatchEvent(new KeyboardEvent('keyup', { code: 'KeyZ', ctrlKey: true, shiftKey: true }))
+    counts.push(count())
+    // edits larger than the memory limit are not kept
+    nv.opts.maxUndoBytes = 16
+    nv.mouseClick(ltwh[0] + ltwh[2] * 0.5, y)
+    nv.mouseUpListener()
+    return { counts, undoEmpty, nUndo: nv.undoStack.length }
+  })
+  expect(result.counts).toEqual([18, 9, 0, 9, 0, 9])
+  expect(result.undoEmpty).toBe(false)
+  expect(result.nUndo).toBe(0)
+})
@@ -0,0 +1,41 @@
+const { httpServerAddress } = require("./helpers")
+beforeEach(async () => {
+  await page.goto(httpServerAddress, {timeout:0})
+  await page.setViewport({width: 1440, height: 900, deviceScaleFactor: 1});
+})
+test('windowLevel', async () => {
+  let result = await page.evaluate(async () => {
+    let nv = new niivue.Niivue()
+    await nv.attachTo('gl')
+    var volumeList = [
+      {
+        url: "../images/hippo.nii.gz",
+        volume: { hdr: null, img: null },
+        name: "hippo",
+        colorMap: "gray",
+        opacity: 1,
+        visible: true,
+      },
+    ]
+    await nv.loadVolumes(volumeList)
+    let volume = nv.volumes[0]
+    let start = [volume.cal_min, volume.cal_max]
+    let ranges = []
+    nv.on('intensityRange', (range) => ranges.push(range))
+    nv.setDragMode("windowLevel")
+    nv.windowLevelDown(100, 100)
+    nv.windowLevelMove(200, 100) // wider
+    nv.windowLevelMove(200, 200) // higher center
+    nv.mouseUpListener()
+    return { start, ranges, final: [volume.cal_min, volume.cal_max], isDragging: nv.isDragging }
+  })
+  let width = (r) => r[1] - r[0]
+  let center = (r) => (r[0] + r[1]) / 2
+  expect(result.ranges.length).toBe(2)
+  expect(width(result.ranges[0])).toBeGreaterThan(width(result.start))
+  expect(center(result.ranges[0])).toBeCloseTo(center(result.start), 5)
+  expect(width(result.ranges[1])).toBeCloseTo(width(result.ranges[0]), 5)
+  expect(center(result.ranges[1])).toBeGreaterThan(center(result.ranges[0]))
+  expect(result.final).toEqual(result.ranges[1])
+  expect(result.isDragging).toBe(false)
+})